@@ -6,6 +6,7 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { Browser } from './src/browser.js';
 import { browseWeb } from './src/agent.js';
+import { createChat } from './src/adapters.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const pkg = JSON.parse(readFileSync(join(__dirname, 'package.json'), 'utf8'));
@@ -25,10 +26,12 @@ betterbrowse v${pkg.version} — CLI for browser automation (ARIA snapshots, no
 
 Usage:
   betterbrowse <url>                    Get ARIA snapshot of the page (stdout)
-  betterbrowse <url> "<task>"           Run agent to complete task (uses OpenAI)
+  betterbrowse <url> "<task>"           Run agent to complete task
 
 Options:
-  --model <name>     OpenAI model (default: gpt-4o-mini). Needs OPENAI_API_KEY.
+  --provider <name>  LLM provider: openai, anthropic or gemini (default: openai)
+  --model <name>     Model name (default: gpt-4o-mini / claude-sonnet-4-20250514 / gemini-2.0-flash)
+  --base-url <url>   API base URL — e.g. http://localhost:11434/v1 for Ollama, vLLM or LM Studio
   --headless         Run Chrome headless (default: true)
   --no-headless      Show browser window
   --record           Record the browser session as video (MP4 if ffmpeg installed)
@@ -41,8 +44,11 @@ Examples:
   betterbrowse https://news.ycombinator.com "What is the top story title?"
   betterbrowse https://example.com "Click the first link" --no-headless --record
   betterbrowse https://example.com "Sign in" --record --record-dir ./recordings
+  betterbrowse https://example.com "Summarize the page" --provider anthropic
+  betterbrowse https://example.com "Summarize the page" --base-url http://localhost:11434/v1 --model llama3.1
 
-For agent mode (url + task), set OPENAI_API_KEY. Result is printed to stdout.
+For agent mode (url + task), set OPENAI_API_KEY, ANTHROPIC_API_KEY or GEMINI_API_KEY
+for the chosen provider (not needed for a local --base-url server). Result is printed to stdout.
 Video recording: use --record; output path is written to stderr. Requires ffmpeg for MP4.
 `);
 }
@@ -57,13 +63,19 @@ const headless = !args.includes('--no-headless');
 const record = args.includes('--record');
 const modelIdx = args.indexOf('--model');
 const recordDirIdx = args.indexOf('--record-dir');
-const model = modelIdx >= 0 && args[modelIdx + 1] ? args[modelIdx + 1] : 'gpt-4o-mini';
+const providerIdx = args.indexOf('--provider');
+const baseUrlIdx = args.indexOf('--base-url');
+const model = modelIdx >= 0 && args[modelIdx + 1] ? args[modelIdx + 1] : undefined;
 const recordDir = recordDirIdx >= 0 && args[recordDirIdx + 1] ? args[recordDirIdx + 1] : undefined;
+const provider = providerIdx >= 0 && args[providerIdx + 1] ? args[providerIdx + 1] : 'openai';
+const baseURL = baseUrlIdx >= 0 && args[baseUrlIdx + 1] ? args[baseUrlIdx + 1] : undefined;
 const positional = args.filter(a => {
   if (a.startsWith('--')) return false;
   if (a === '--no-headless') return false;
   if (modelIdx >= 0 && (a === args[modelIdx] || a === args[modelIdx + 1])) return false;
   if (recordDirIdx >= 0 && (a === args[recordDirIdx] || a === args[recordDirIdx + 1])) return false;
+  if (providerIdx >= 0 && (a === args[providerIdx] || a === args[providerIdx + 1])) return false;
+  if (baseUrlIdx >= 0 && (a === args[baseUrlIdx] || a === args[baseUrlIdx + 1])) return false;
   return true;
 });
 
@@ -80,73 +92,6 @@ if (!url) {
 let targetUrl = url;
 if (!/^https?:\/\//i.test(targetUrl)) targetUrl = 'https://' + targetUrl;
 
-async function openaiChat(messages, { tools, maxTokens }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY is required for agent mode. Set it or use snapshot-only: betterbrowse <url>');
-  }
-
-  // Convert to OpenAI API format
-  const openaiMessages = messages.map(m => {
-    const out = { role: m.role, content: m.content ?? '' };
-    if (m.tool_calls?.length) {
-      out.tool_calls = m.tool_calls.map(tc => ({
-        id: tc.id,
-        type: 'function',
-        function: { name: tc.function?.name || tc.name, arguments: typeof tc.function?.arguments === 'string' ? tc.function.arguments : JSON.stringify(tc.arguments || {}) },
-      }));
-    }
-    if (m.tool_call_id) out.tool_call_id = m.tool_call_id;
-    return out;
-  });
-
-  const body = {
-    model,
-    messages: openaiMessages,
-    max_tokens: maxTokens || 1024,
-    tools: tools?.length ? tools.map(t => ({ type: 'function', function: t.function })) : undefined,
-  };
-
-  const res = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify(body),
-  });
-
-  if (!res.ok) {
-    const err = await res.text();
-    throw new Error(`OpenAI API error ${res.status}: ${err}`);
-  }
-
-  const data = await res.json();
-  const msg = data.choices?.[0]?.message;
-  if (!msg) throw new Error('OpenAI API: no message in response');
-
-  const toolCalls = msg.tool_calls?.map(tc => ({
-    id: tc.id,
-    name: tc.function?.name,
-    arguments: (() => {
-      try {
-        return JSON.parse(tc.function?.arguments || '{}');
-      } catch {
-        return {};
-      }
-    })(),
-  }));
-
-  return {
-    content: msg.content || '',
-    toolCalls: toolCalls || [],
-    usage: data.usage ? {
-      inputTokens: data.usage.prompt_tokens,
-      outputTokens: data.usage.completion_tokens,
-    } : undefined,
-  };
-}
-
 async function main() {
   try {
     if (!task) {
@@ -168,8 +113,9 @@ async function main() {
     }
 
     // Full agent: url + task
+    const chat = createChat(provider, { ...(model && { model }), baseURL });
     const result = await browseWeb(targetUrl, task, {
-      chat: openaiChat,
+      chat,
       headless,
       record,
       recordDir,
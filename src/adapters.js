@@ -0,0 +1,355 @@
+/**
+ * Chat adapters — ready-made `chat` functions for browseWeb
+ *
+ *   await browseWeb(url, task, { chat: anthropicChat({ model: 'claude-sonnet-4-20250514' }) });
+ *   await browseWeb(url, task, { chat: openaiChat({ baseURL: 'http://localhost:11434/v1', model: 'llama3.1' }) });
+ *
+ * Each adapter converts the agent's OpenAI-style messages (assistant
+ * tool_calls, `tool` results) and BROWSER_TOOLS into the provider's format,
+ * retries 429 / 5xx responses with backoff, and returns
+ * { content, toolCalls, usage }.
+ */
+
+const DEFAULT_RETRIES = 3;
+const MAX_BACKOFF = 30000;
+
+// ── Shared helpers ──
+
+/** `{ type: 'function', function: { name, description, parameters } }` or a bare function spec → the spec. */
+function toolSpec(tool) {
+  return tool.function || tool;
+}
+
+/** Name and parsed arguments of an agent tool call. */
+function parseToolCall(tc) {
+  const name = tc.function?.name || tc.name;
+  let args = tc.function?.arguments ?? tc.arguments ?? {};
+  if (typeof args === 'string') {
+    try { args = JSON.parse(args || '{}'); } catch { args = {}; }
+  }
+  return { id: tc.id, name, args };
+}
+
+function backoff(attempt, res) {
+  const retryAfter = Number(res?.headers.get('retry-after'));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_BACKOFF);
+  return Math.min(1000 * 2 ** attempt, MAX_BACKOFF) * (0.5 + Math.random() / 2);
+}
+
+/** Wait `ms`, or reject as soon as `signal` aborts. */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * POST JSON, retrying rate limits (429), server errors (5xx) and network
+ * failures with exponential backoff (honouring Retry-After). `signal` cancels
+ * the request and any pending retry.
+ */
+async function postJSON(provider, url, { headers = {}, body, maxRetries = DEFAULT_RETRIES, signal }) {
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal,
+      });
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      if (attempt >= maxRetries) throw new Error(`${provider} API request failed: ${err.message}`);
+      await sleep(backoff(attempt), signal);
+      continue;
+    }
+
+    if (res.ok) return await res.json();
+    const retryable = res.status === 429 || res.status >= 500;
+    if (!retryable || attempt >= maxRetries) {
+      throw new Error(`${provider} API error ${res.status}: ${await res.text()}`);
+    }
+    await res.body?.cancel();
+    await sleep(backoff(attempt, res), signal);
+  }
+}
+
+// ── OpenAI-compatible ──
+
+/**
+ * OpenAI Chat Completions — and any server that speaks it (Ollama, vLLM,
+ * LM Studio, OpenRouter…) via `baseURL`.
+ * @param {object} [opts]
+ * @param {string} [opts.model='gpt-4o-mini']
+ * @param {string} [opts.apiKey] - Defaults to OPENAI_API_KEY; optional for a custom baseURL
+ * @param {string} [opts.baseURL='https://api.openai.com/v1'] - e.g. "http://localhost:11434/v1" for Ollama
+ * @param {Record<string, string>} [opts.headers] - Extra request headers
+ * @param {number} [opts.maxRetries=3] - Retries on 429 / 5xx / network errors
+ * @returns {function} chat function for browseWeb
+ */
+export function openaiChat({ model = 'gpt-4o-mini', apiKey = process.env.OPENAI_API_KEY, baseURL, headers, maxRetries } = {}) {
+  const base = (baseURL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+
+  return async function chat(messages, { tools, maxTokens, signal } = {}) {
+    if (!apiKey && !baseURL) {
+      throw new Error('OPENAI_API_KEY is required (or pass baseURL for a local OpenAI-compatible server)');
+    }
+
+    const body = {
+      model,
+      messages: messages.map(m => {
+        const out = { role: m.role, content: m.content ?? '' };
+        if (m.tool_calls?.length) {
+          out.tool_calls = m.tool_calls.map(tc => {
+            const { id, name, args } = parseToolCall(tc);
+            return { id, type: 'function', function: { name, arguments: JSON.stringify(args) } };
+          });
+        }
+        if (m.tool_call_id) out.tool_call_id = m.tool_call_id;
+        return out;
+      }),
+      max_tokens: maxTokens || 1024,
+    };
+    if (tools?.length) body.tools = tools.map(t => ({ type: 'function', function: toolSpec(t) }));
+
+    const data = await postJSON('OpenAI', `${base}/chat/completions`, {
+      headers: { ...(apiKey && { Authorization: `Bearer ${apiKey}` }), ...headers },
+      body,
+      maxRetries,
+      signal,
+    });
+
+    const msg = data.choices?.[0]?.message;
+    if (!msg) throw new Error('OpenAI API: no message in response');
+    return {
+      content: msg.content || '',
+      toolCalls: (msg.tool_calls || []).map(tc => parseToolCall(tc)).map(({ id, name, args }) => ({ id, name, arguments: args })),
+      usage: data.usage ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens } : undefined,
+    };
+  };
+}
+
+// ── Anthropic ──
+
+/**
+ * Anthropic Messages API.
+ * @param {object} [opts]
+ * @param {string} [opts.model='claude-sonnet-4-20250514']
+ * @param {string} [opts.apiKey] - Defaults to ANTHROPIC_API_KEY
+ * @param {string} [opts.baseURL='https://api.anthropic.com']
+ * @param {Record<string, string>} [opts.headers] - Extra request headers
+ * @param {number} [opts.maxRetries=3] - Retries on 429 / 5xx / network errors
+ * @returns {function} chat function for browseWeb
+ */
+export function anthropicChat({ model = 'claude-sonnet-4-20250514', apiKey = process.env.ANTHROPIC_API_KEY, baseURL, headers, maxRetries } = {}) {
+  const base = (baseURL || 'https://api.anthropic.com').replace(/\/+$/, '');
+
+  return async function chat(messages, { tools, maxTokens, signal } = {}) {
+    if (!apiKey && !baseURL) throw new Error('ANTHROPIC_API_KEY is required');
+
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const converted = [];
+    for (const m of messages) {
+      if (m.role === 'system') continue;
+      let msg;
+      if (m.role === 'tool') {
+        msg = { role: 'user', content: [{ type: 'tool_result', tool_use_id: m.tool_call_id, content: m.content ?? '' }] };
+      } else if (m.role === 'assistant') {
+        const content = [];
+        if (m.content) content.push({ type: 'text', text: m.content });
+        for (const tc of m.tool_calls || []) {
+          const { id, name, args } = parseToolCall(tc);
+          content.push({ type: 'tool_use', id, name, input: args });
+        }
+        // An empty assistant turn (no text, no calls) is rejected by the API — leave it out
+        if (content.length === 0) continue;
+        msg = { role: 'assistant', content };
+      } else {
+        msg = { role: 'user', content: [{ type: 'text', text: m.content ?? '' }] };
+      }
+      // Roles must alternate: fold consecutive same-role messages (e.g. several tool results) together
+      const prev = converted[converted.length - 1];
+      if (prev?.role === msg.role) prev.content.push(...msg.content);
+      else converted.push(msg);
+    }
+
+    const body = {
+      model,
+      max_tokens: maxTokens || 1024,
+      messages: converted,
+    };
+    if (system) body.system = system;
+    if (tools?.length) {
+      body.tools = tools.map(t => {
+        const { name, description, parameters } = toolSpec(t);
+        return { name, description, input_schema: parameters || { type: 'object', properties: {} } };
+      });
+    }
+
+    const data = await postJSON('Anthropic', `${base}/v1/messages`, {
+      headers: { ...(apiKey && { 'x-api-key': apiKey }), 'anthropic-version': '2023-06-01', ...headers },
+      body,
+      maxRetries,
+      signal,
+    });
+
+    const blocks = data.content || [];
+    return {
+      content: blocks.filter(b => b.type === 'text').map(b => b.text).join(''),
+      toolCalls: blocks.filter(b => b.type === 'tool_use').map(b => ({ id: b.id, name: b.name, arguments: b.input || {} })),
+      usage: data.usage ? { inputTokens: data.usage.input_tokens, outputTokens: data.usage.output_tokens } : undefined,
+    };
+  };
+}
+
+// ── Gemini ──
+
+// Keywords of Gemini's OpenAPI schema subset — the API rejects any others
+const GEMINI_SCHEMA_KEYS = new Set(['type', 'format', 'title', 'description', 'nullable', 'enum', 'items', 'properties', 'required', 'minItems', 'maxItems', 'minimum', 'maximum', 'anyOf']);
+
+/**
+ * Rewrite a JSON Schema into Gemini's subset: oneOf → anyOf, a string const →
+ * enum, ["string", "null"] → nullable; other keywords ($schema,
+ * additionalProperties, allOf, pattern, …) are dropped. Gemini rejects objects
+ * without properties, so a free-form object (or an array of them) becomes null
+ * and its parent leaves it out.
+ */
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return {};
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'properties') {
+      out.properties = Object.fromEntries(Object.entries(value)
+        .map(([name, sub]) => [name, toGeminiSchema(sub)])
+        .filter(([, sub]) => sub !== null));
+    } else if (key === 'items') {
+      out.items = toGeminiSchema(value);
+      if (out.items === null) return null;
+    } else if (key === 'anyOf' || key === 'oneOf') {
+      out.anyOf = value.map(toGeminiSchema).filter(sub => sub !== null);
+      if (out.anyOf.length === 0) return null;
+    } else if (key === 'const') {
+      if (typeof value === 'string') out.enum = [value];
+    } else if (key === 'type' && Array.isArray(value)) {
+      const types = value.filter(type => type !== 'null');
+      if (types.length < value.length) out.nullable = true;
+      if (types.length === 1) out.type = types[0];
+      else if (types.length > 1) out.anyOf = types.map(type => ({ type }));
+    } else if (GEMINI_SCHEMA_KEYS.has(key)) {
+      out[key] = value;
+    }
+  }
+  if (out.type === 'object' && Object.keys(out.properties || {}).length === 0) return null;
+  if (out.required) out.required = out.required.filter(name => out.properties && Object.hasOwn(out.properties, name));
+  return out;
+}
+
+/**
+ * Google Gemini generateContent API. Tool schemas are rewritten into the
+ * subset Gemini accepts, so keywords it lacks (additionalProperties, pattern,
+ * allOf, …) are not enforced by the model — browseWeb still validates the result.
+ * @param {object} [opts]
+ * @param {string} [opts.model='gemini-2.0-flash']
+ * @param {string} [opts.apiKey] - Defaults to GEMINI_API_KEY (or GOOGLE_API_KEY)
+ * @param {string} [opts.baseURL='https://generativelanguage.googleapis.com/v1beta']
+ * @param {Record<string, string>} [opts.headers] - Extra request headers
+ * @param {number} [opts.maxRetries=3] - Retries on 429 / 5xx / network errors
+ * @returns {function} chat function for browseWeb
+ */
+export function geminiChat({ model = 'gemini-2.0-flash', apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY, baseURL, headers, maxRetries } = {}) {
+  const base = (baseURL || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/+$/, '');
+  let callCounter = 0; // Gemini has no tool call ids — the agent needs them to pair results
+
+  return async function chat(messages, { tools, maxTokens, signal } = {}) {
+    if (!apiKey && !baseURL) throw new Error('GEMINI_API_KEY is required');
+
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const callNames = new Map(); // tool call id → function name (functionResponse needs the name)
+    const contents = [];
+    for (const m of messages) {
+      if (m.role === 'system') continue;
+      let entry;
+      if (m.role === 'tool') {
+        const name = callNames.get(m.tool_call_id) || 'tool';
+        entry = { role: 'user', parts: [{ functionResponse: { name, response: { content: m.content ?? '' } } }] };
+      } else if (m.role === 'assistant') {
+        const parts = [];
+        if (m.content) parts.push({ text: m.content });
+        for (const tc of m.tool_calls || []) {
+          const { id, name, args } = parseToolCall(tc);
+          callNames.set(id, name);
+          parts.push({ functionCall: { name, args } });
+        }
+        if (parts.length === 0) continue;
+        entry = { role: 'model', parts };
+      } else {
+        entry = { role: 'user', parts: [{ text: m.content ?? '' }] };
+      }
+      const prev = contents[contents.length - 1];
+      if (prev?.role === entry.role) prev.parts.push(...entry.parts);
+      else contents.push(entry);
+    }
+
+    const body = {
+      contents,
+      generationConfig: { maxOutputTokens: maxTokens || 1024 },
+    };
+    if (system) body.systemInstruction = { parts: [{ text: system }] };
+    if (tools?.length) {
+      body.tools = [{
+        functionDeclarations: tools.map(t => {
+          const { name, description, parameters } = toolSpec(t);
+          // Gemini rejects object schemas without properties: such tools are declared without parameters
+          const converted = parameters && toGeminiSchema(parameters);
+          return { name, description, ...(converted && { parameters: converted }) };
+        }),
+      }];
+    }
+
+    const data = await postJSON('Gemini', `${base}/models/${encodeURIComponent(model)}:generateContent`, {
+      headers: { ...(apiKey && { 'x-goog-api-key': apiKey }), ...headers },
+      body,
+      maxRetries,
+      signal,
+    });
+
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    return {
+      content: parts.filter(p => p.text).map(p => p.text).join(''),
+      toolCalls: parts.filter(p => p.functionCall).map(p => ({
+        id: `gemini_call_${++callCounter}`,
+        name: p.functionCall.name,
+        arguments: p.functionCall.args || {},
+      })),
+      usage: data.usageMetadata ? {
+        inputTokens: data.usageMetadata.promptTokenCount,
+        outputTokens: data.usageMetadata.candidatesTokenCount,
+      } : undefined,
+    };
+  };
+}
+
+// ── Factory ──
+
+const PROVIDERS = { openai: openaiChat, anthropic: anthropicChat, gemini: geminiChat };
+
+/**
+ * Create a chat function by provider name.
+ * @param {'openai'|'anthropic'|'gemini'} provider - 'openai' also covers OpenAI-compatible servers (pass baseURL)
+ * @param {object} [opts] - Adapter options (model, apiKey, baseURL, headers, maxRetries)
+ */
+export function createChat(provider, opts = {}) {
+  const adapter = PROVIDERS[provider];
+  if (!adapter) throw new Error(`Unknown provider: ${provider}. Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  return adapter(opts);
+}
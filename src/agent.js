@@ -2,13 +2,31 @@
 // 10-100x cheaper than screenshot+vision approach — no vision model needed
 // Uses any text model via a user-supplied `chat` function
 
+import { basename, resolve } from 'node:path';
 import { Browser } from './browser.js';
 import { computeDiff } from './snapshot-differ.js';
+import { ContextManager, estimateTokens } from './context.js';
+import { SecretVault } from './secrets.js';
+import { ActionPolicy } from './policy.js';
+import { ContentGuard, formatFindings } from './injection.js';
+import { validate } from './schema.js';
+import { extractData } from './extract.js';
 
 const MAX_STEPS = 25;
+const MAX_OUTPUT_TOKENS = 1024;
+const MAX_EXTRACT_CHARS = 8000; // extract results beyond this are cut off for the model
+const MAX_OUTPUT_RETRIES = 2; // corrections asked for when done's arguments don't match outputSchema
+const STOPPED = Symbol('stopped');
+const STOP_MESSAGES = {
+  aborted: 'Browser task was aborted.',
+  timeout: 'Browser task timed out.',
+  budget: 'Browser task stopped: token/cost budget exhausted.',
+};
+const DOWNLOAD_TIMEOUT = 30000; // how long a step waits for downloads it started
+const ACTION_SETTLE_TIMEOUT = 5000; // how long an interrupted action gets to wind down (dialog answered, run stopped)
 
 // Browser tools — ref-based interaction instead of pixel coordinates
-const BROWSER_TOOLS = [
+export const BROWSER_TOOLS = [
   {
     type: 'function',
     function: {
@@ -101,6 +119,60 @@ const BROWSER_TOOLS = [
       parameters: { type: 'object', properties: {} },
     },
   },
+  {
+    type: 'function',
+    function: {
+      name: 'extract',
+      description: 'Extract structured data (product lists, table rows, search results) from the whole page, including list items the snapshot hides. Records in lists include the refs they came from.',
+      parameters: {
+        type: 'object',
+        properties: {
+          instruction: { type: 'string', description: 'What to extract, e.g. "all products with name and price"' },
+          schema: { type: 'object', description: 'JSON Schema for the data (default: { records: [...] } with free-form records)' },
+        },
+        required: ['instruction'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_tabs',
+      description: 'List open tabs and popups with their IDs. The active tab is marked.',
+      parameters: { type: 'object', properties: {} },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'switch_tab',
+      description: 'Switch to another tab by its ID (e.g. "t2"). Snapshots and actions apply to the active tab.',
+      parameters: { type: 'object', properties: { tab_id: { type: 'string', description: 'Tab ID like "t2"' } }, required: ['tab_id'] },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'close_tab',
+      description: 'Close a tab by its ID (defaults to the active tab) and return to the tab that opened it.',
+      parameters: { type: 'object', properties: { tab_id: { type: 'string', description: 'Tab ID like "t2"' } } },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'handle_dialog',
+      description: 'Answer the open JavaScript dialog (alert, confirm, prompt, beforeunload). The page is blocked until you do.',
+      parameters: {
+        type: 'object',
+        properties: {
+          accept: { type: 'boolean', description: 'true = OK / Leave, false = Cancel / Stay' },
+          prompt_text: { type: 'string', description: 'Text to enter into a prompt() dialog before accepting' },
+        },
+        required: ['accept'],
+      },
+    },
+  },
   {
     type: 'function',
     function: {
@@ -111,17 +183,68 @@ const BROWSER_TOOLS = [
   },
 ];
 
-async function executeBrowserTool(browser, name, args) {
+/** The done tool with its parameters replaced by the caller's output schema. */
+function doneToolFor(outputSchema) {
+  return {
+    type: 'function',
+    function: {
+      name: 'done',
+      description: 'Task is complete. Return the result as arguments matching the parameter schema exactly.',
+      parameters: outputSchema,
+    },
+  };
+}
+
+// Used by the extract tool when the model gives no schema
+const DEFAULT_EXTRACT_SCHEMA = {
+  type: 'object',
+  properties: { records: { type: 'array', items: { type: 'object' } } },
+  required: ['records'],
+};
+
+// Only offered when browseWeb is given an `uploadFiles` allowlist
+const UPLOAD_TOOL = {
+  type: 'function',
+  function: {
+    name: 'upload_file',
+    description: 'Attach files to a file input (or the button that opens a file picker) by its ref ID. Only the files listed as available can be uploaded.',
+    parameters: {
+      type: 'object',
+      properties: {
+        ref: { type: 'string', description: 'Element ref like "e5"' },
+        files: { type: 'array', items: { type: 'string' }, description: 'File names from the available list' },
+      },
+      required: ['ref', 'files'],
+    },
+  },
+};
+
+/** Map requested file names/paths onto the allowlist; anything else is refused. */
+function allowedFiles(requested, allowlist) {
+  return [].concat(requested || []).map(name => {
+    const match = allowlist.find(p => p === resolve(name) || basename(p) === name);
+    if (!match) throw new Error(`File "${name}" is not available for upload. Available: ${allowlist.map(p => basename(p)).join(', ')}`);
+    return match;
+  });
+}
+
+async function executeBrowserTool(browser, name, args, { uploadFiles = [], secrets = null, extract = {} } = {}) {
   switch (name) {
     case 'navigate': return await browser.navigate(args.url);
     case 'click': return await browser.clickRef(args.ref);
-    case 'fill': return await browser.fillRef(args.ref, args.text);
+    case 'fill': {
+      if (!secrets?.hasPlaceholder(args.text)) return await browser.fillRef(args.ref, args.text);
+      // Substitute only once the element's origin is known to be allowed
+      const text = secrets.substitute(args.text, await browser.refOrigin(args.ref));
+      return await browser.fillRef(args.ref, text, { sensitive: true });
+    }
     case 'hover': return await browser.hover(args.ref);
     case 'select_option': return await browser.selectOption(args.ref, args.value);
     case 'press_key': return await browser.pressKey(args.key);
     case 'scroll': {
       const dy = args.direction === 'up' ? -400 : 400;
-      return await browser.scroll(640, 450, 0, dy);
+      const { width, height } = await browser.viewportSize();
+      return await browser.scroll(width / 2, height / 2, 0, dy);
     }
     case 'screenshot': {
       const data = await browser.screenshot();
@@ -131,48 +254,247 @@ async function executeBrowserTool(browser, name, args) {
       const text = await browser.extractText();
       return text.slice(0, 8000);
     }
+    case 'extract': {
+      // Secret values never go to the extraction model either
+      const snapshot = await browser.getSnapshot({ full: true });
+      const data = await extractData(secrets ? secrets.redact(snapshot) : snapshot, args.schema || DEFAULT_EXTRACT_SCHEMA, {
+        ...extract,
+        instruction: args.instruction,
+      });
+      const json = JSON.stringify(data);
+      return json.length > MAX_EXTRACT_CHARS ? `${json.slice(0, MAX_EXTRACT_CHARS)}… (truncated)` : json;
+    }
+    case 'list_tabs': return formatTabs(browser.pages());
+    case 'switch_tab': {
+      const tab = await browser.switchTo(args.tab_id);
+      return `Switched to tab ${tab.id}: ${tab.title || tab.url}`;
+    }
+    case 'close_tab': return await browser.closePage(args.tab_id || undefined);
+    case 'upload_file': {
+      if (uploadFiles.length === 0) return 'File upload is not enabled for this task.';
+      return await browser.uploadFile(args.ref, allowedFiles(args.files, uploadFiles));
+    }
+    case 'handle_dialog': {
+      let promptText = args.prompt_text;
+      if (secrets?.hasPlaceholder(promptText)) {
+        const dialog = browser.getDialog();
+        let origin = 'null';
+        try { if (dialog) origin = new URL(dialog.url).origin; } catch {}
+        promptText = secrets.substitute(promptText, origin);
+      }
+      return await browser.handleDialog({ accept: args.accept !== false, promptText });
+    }
     case 'done': return null;
     default: return `Unknown action: ${name}`;
   }
 }
 
+function formatTabs(tabs) {
+  return tabs.map(t => `${t.id}${t.active ? ' (active)' : ''}: ${t.title || '(untitled)'} — ${t.url}`).join('\n');
+}
+
+/** Wait for the given downloads to finish and describe them for the model. */
+async function finishDownloads(browser, ids) {
+  const deadline = Date.now() + DOWNLOAD_TIMEOUT;
+  const mine = () => browser.downloads().filter(d => ids.includes(d.id));
+  while (mine().some(d => d.state === 'inProgress') && Date.now() < deadline) {
+    await new Promise(r => setTimeout(r, 200));
+  }
+  return mine().map(d => {
+    const kb = `${Math.max(1, Math.round(d.receivedBytes / 1024))}KB`;
+    if (d.state === 'completed') return `Downloaded ${basename(d.path)} (${kb})`;
+    if (d.state === 'canceled') return `Download of ${d.suggestedFilename} was canceled`;
+    return `Still downloading ${d.suggestedFilename} (${kb} so far)`;
+  }).join('\n');
+}
+
+/** Wait for `promise` to settle (ignoring its outcome), but no longer than `ms`. */
+function settleWithin(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(resolve, ms); });
+  return Promise.race([promise.catch(() => {}), timeout]).finally(() => clearTimeout(timer));
+}
+
+/** Describe an open dialog; `untrusted` wraps the page-provided text. */
+function formatDialog(dialog, untrusted) {
+  const prompt = dialog.type === 'prompt' ? `\nDefault text: "${dialog.defaultPrompt}"` : '';
+  return `A ${dialog.type} dialog is open:\n${untrusted(dialog.message + prompt, 'dialog')}\nThe page is blocked until you answer it with handle_dialog.`;
+}
+
 /**
  * Run a browser task with a text-based sub-agent using ARIA snapshots.
  *
- * @param {string} url - Starting URL
+ * @param {string|null} url - Starting URL, or null to start from the page the browser is on
  * @param {string} task - What to do
  * @param {object} opts
- * @param {function} opts.chat - LLM chat function: async (messages, { tools, maxTokens }) => { content, toolCalls, usage }
+ * @param {function} opts.chat - LLM chat function: async (messages, { tools, maxTokens, signal }) => { content, toolCalls, usage }
+ * @param {Browser} [opts.browser] - Use this launched/connected Browser and leave it open afterwards (browser options below are then ignored)
  * @param {boolean} [opts.headless=true] - Run Chrome headless
  * @param {boolean} [opts.useProfile=false] - Copy Chrome profile (legacy — cookies may not decrypt on macOS)
  * @param {string} [opts.userDataDir] - Persistent Chrome profile directory (recommended — logins survive across sessions)
  * @param {boolean} [opts.stealth=true] - Anti-bot-detection mode (hides automation signals)
+ * @param {object|string} [opts.emulate] - Device name (e.g. 'iPhone 15') or emulation settings — viewport, locale, timezoneId, geolocation…
+ * @param {object|string} [opts.storageState] - Cookies and storage to start with — from browser.storageState() or its JSON file
  * @param {number} [opts.port] - CDP port
+ * @param {object} [opts.connect] - Attach to a running Chrome instead of launching one: { browserURL } or { wsEndpoint } (plus newPage or targetId) — see Browser.connect()
+ * @param {string} [opts.waitUntil='auto'] - How actions wait for the page to settle: 'auto' | 'load' | 'domcontentloaded' | 'networkidle' | 'stable' | 'none'
+ * @param {string[]} [opts.blockResources] - Resource types to block for faster, cheaper runs, e.g. ['image', 'font', 'media', 'ads']
+ * @param {string|function} [opts.dialogs='manual'] - Dialog policy (see Browser). 'manual' lets the model answer with handle_dialog.
+ * @param {string} [opts.downloadsDir] - Where files the agent downloads are saved (default: a fresh temp directory)
+ * @param {string[]} [opts.uploadFiles] - Local files the agent may attach with the upload_file tool (the tool is only offered when set)
+ * @param {boolean} [opts.reportErrors=false] - When an action changes nothing, tell the model about console errors, uncaught exceptions and failed requests it caused
  * @param {number} [opts.maxSteps] - Max agent steps (default 25)
- * @param {function} [opts.onStep] - Callback for each step: ({ step, action, ref, text, result }) => void
+ * @param {object} [opts.outputSchema] - JSON Schema (type 'object') for done's arguments; the validated object is returned as `data`
+ * @param {number} [opts.maxOutputRetries=2] - How often invalid done arguments are sent back for correction (then stopReason 'invalid_output')
+ * @param {function} [opts.onStep] - Callback for each step: ({ step, action, ref, text, result, suspicious? }) => void
+ * @param {function} [opts.onSuspiciousContent] - Called with { step, source, pattern, text, url } when page content looks like instructions to the model
+ * @param {AbortSignal} [opts.signal] - Stop the run (stopReason 'aborted')
+ * @param {number} [opts.timeoutMs] - Wall-clock limit for the run (stopReason 'timeout')
+ * @param {number} [opts.maxInputTokens] - Stop once this many input tokens are spent (stopReason 'budget')
+ * @param {number} [opts.maxOutputTokens] - Stop once this many output tokens are spent (stopReason 'budget')
+ * @param {{ input: number, output: number }} [opts.pricing] - USD per million input / output tokens; adds usage.cost
+ * @param {number} [opts.maxCost] - Stop once usage.cost reaches this many USD (needs pricing; stopReason 'budget')
+ * @param {number} [opts.maxContextTokens=100000] - Token budget per model call; older observations are summarized to stay under it
+ * @param {'sequential'|'first'} [opts.parallelToolCalls='sequential'] - Several tool calls in one response: run them in order
+ *   (stopping once the page navigates or a dialog opens), or run only the first and reject the rest
  * @param {boolean} [opts.record] - Record the browser session as video
  * @param {string} [opts.recordDir] - Output directory for recording files
- * @returns {{ result: string, usage: { inputTokens: number, outputTokens: number, modelCalls: number }, steps: Array, recording: object | null }}
+ * @param {object} [opts.recordHar] - Record network traffic as HAR: { path, content? } (written even if the run fails)
+ * @returns {{ result: string, data?: object | null, stopReason: 'done'|'text'|'max_steps'|'aborted'|'timeout'|'budget'|'invalid_output', usage: { inputTokens: number, outputTokens: number, modelCalls: number, cost?: number }, steps: Array, recording: object | null, finalUrl: string, snapshot: string }}
  */
 export async function browseWeb(url, task, opts = {}) {
-  const { chat, headless, useProfile, userDataDir, stealth, port, maxSteps = MAX_STEPS, onStep, record, recordDir } = opts;
+  const { chat, headless, useProfile, userDataDir, stealth, port, waitUntil, blockResources, maxSteps = MAX_STEPS, onStep, record, recordDir, recordHar, dialogs = 'manual', downloadsDir, storageState, emulate, connect, reportErrors = false, parallelToolCalls = 'sequential', maxContextTokens, signal, timeoutMs, maxInputTokens, maxOutputTokens, pricing, maxCost, secrets, onSuspiciousContent, outputSchema, maxOutputRetries = MAX_OUTPUT_RETRIES } = opts;
+  const policy = opts.policy instanceof ActionPolicy ? opts.policy : opts.policy ? new ActionPolicy(opts.policy) : null;
+  const uploadFiles = (opts.uploadFiles || []).map(p => resolve(p));
 
   if (typeof chat !== 'function') {
     throw new Error('opts.chat is required — provide an async function: (messages, { tools, maxTokens }) => { content, toolCalls, usage }');
   }
+  if (parallelToolCalls !== 'sequential' && parallelToolCalls !== 'first') {
+    throw new Error(`Invalid parallelToolCalls: ${parallelToolCalls} (use 'sequential' or 'first')`);
+  }
+  if (outputSchema && (typeof outputSchema !== 'object' || outputSchema.type !== 'object')) {
+    throw new Error("opts.outputSchema must be a JSON Schema with type: 'object' — it becomes the done tool's parameters");
+  }
+  if (maxCost != null && !pricing) {
+    throw new Error('opts.maxCost needs opts.pricing ({ input, output } in USD per million tokens)');
+  }
+
+  // Secret values never reach the model, onStep or the HAR file — only {{NAME}} placeholders do
+  const vault = secrets ? new SecretVault(secrets) : null;
+  const redact = vault ? vault.redact : (text) => text;
+
+  // Page content reaches the model only inside nonce-tagged untrusted blocks
+  const guard = new ContentGuard();
+
+  // Abort signal and timeout both end the run through stop(): in-flight model
+  // calls and actions are abandoned, then the run finishes normally
+  let stopReason = null;
+  const controller = new AbortController();
+  let stop;
+  const stopped = new Promise(resolve => {
+    stop = (reason) => {
+      if (stopReason) return;
+      stopReason = reason;
+      controller.abort();
+      resolve(STOPPED);
+    };
+  });
+  const onAbort = () => stop('aborted');
+  if (signal?.aborted) stop('aborted');
+  else signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = timeoutMs ? setTimeout(() => stop('timeout'), timeoutMs) : null;
+  const interruptible = (promise) => {
+    promise.catch(() => {});
+    return Promise.race([promise, stopped]);
+  };
+
+  // A caller-provided browser is borrowed: used as-is and left open
+  const ownBrowser = !opts.browser;
+  let browser = opts.browser;
+  const listeners = [];
+  const listen = (event, handler) => {
+    browser.on(event, handler);
+    listeners.push([event, handler]);
+  };
+  let offPolicyRoute = null;
+  let released = false;
+  const release = async () => {
+    if (released) return;
+    released = true;
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+    for (const [event, handler] of listeners) browser.off(event, handler);
+    if (offPolicyRoute && !ownBrowser) await browser.unroute(offPolicyRoute).catch(() => {});
+    if (ownBrowser) await browser.close();
+  };
 
-  let browser;
   try {
-    browser = new Browser({ headless, useProfile, userDataDir, stealth, port });
-    await browser.launch();
+    if (ownBrowser) {
+      const har = vault && recordHar ? { ...recordHar, redact } : recordHar;
+      const browserOpts = { stealth, waitUntil, blockResources, recordHar: har, dialogs, downloadsDir, storageState, emulate };
+      if (connect) {
+        browser = await Browser.connect({ ...connect, ...browserOpts });
+      } else {
+        browser = new Browser({ headless, useProfile, userDataDir, port, ...browserOpts });
+        await browser.launch();
+      }
+    }
+    // Main-frame navigations (pages, popups, redirect hops) to hosts the policy doesn't allow are
+    // refused before the request is sent; frame-navigated below is the fallback. Iframes load freely:
+    // an allowed page may embed third-party content (payments, maps, videos)
+    const refused = new Set();
+    if (policy) {
+      offPolicyRoute = (target) => policy.checkUrl(target) != null;
+      await browser.route(offPolicyRoute, async (route, request) => {
+        if (!request.isMainFrame) return;
+        const context = { url: await browser.getURL().catch(() => null) };
+        if (await policy.allowsNavigation(request.url, context)) return;
+        refused.add(request.url);
+        await route.abort('BlockedByClient');
+      });
+    }
+
+    // A borrowed browser's HAR is saved after the run, when it closes — it keeps this run's redactor
+    if (vault && !ownBrowser) browser.addHarRedactor(redact);
+
     if (record) await browser.startRecording();
-    await browser.navigate(url);
+    if (url != null && policy?.checkUrl(url)) {
+      throw new Error(`Start URL not allowed by policy: ${policy.checkUrl(url).reason}`);
+    }
+    if (url != null && !stopReason) await interruptible(browser.navigate(url));
+    if (policy?.checkUrl(await browser.getURL())) {
+      throw new Error(`Start page not allowed by policy: ${policy.checkUrl(await browser.getURL()).reason}`);
+    }
+
+    // Tabs opened by the active page (target=_blank, window.open) during an action
+    const openedTabs = [];
+    listen('tab', (tab) => {
+      if (tab.opener && tab.opener === browser.pages().find(t => t.active)?.id) openedTabs.push(tab);
+    });
+
+    // Dialogs opened during an action — answered by the policy, or left open for handle_dialog
+    const dialogsSeen = [];
+    listen('dialog', (dialog) => dialogsSeen.push(dialog));
+
+    // Downloads started during an action — reported once they finish
+    const downloadsStarted = [];
+    listen('download-start', (download) => downloadsStarted.push(download.id));
+
+    // Main-frame navigations the policy doesn't allow (links, redirects, scripts) — undone after the action.
+    // Catches what slipped past the route above, and the error page a refused document leaves behind.
+    const offPolicy = [];
+    if (policy) {
+      listen('frame-navigated', ({ pageId, url: target }) => {
+        if (policy.checkUrl(target)) offPolicy.push({ pageId, url: target });
+      });
+    }
 
     // Get initial ARIA snapshot
     let prevSnapshot = null;
     let prevUrl = null;
-    let snapshot = await browser.getSnapshot();
-    let currentUrl = await browser.getURL();
+    let snapshot = redact(await browser.getSnapshot());
+    let currentUrl = redact(await browser.getURL());
 
     // Usage tracking
     let totalInputTokens = 0;
@@ -180,7 +502,255 @@ export async function browseWeb(url, task, opts = {}) {
     let modelCalls = 0;
     const steps = [];
 
-    const messages = [
+    // Record instruction-like page text on its step and tell the caller
+    const report = async (findings, stepEntry) => {
+      stepEntry.suspicious = findings.map(f => ({ ...f, text: redact(f.text), step: stepEntry.step, url: currentUrl }));
+      if (onSuspiciousContent) {
+        for (const finding of stepEntry.suspicious) await onSuspiciousContent(finding);
+      }
+    };
+
+    const browserTools = outputSchema ? BROWSER_TOOLS.map(t => t.function.name === 'done' ? doneToolFor(outputSchema) : t) : BROWSER_TOOLS;
+    // Usage of every model call, the extract tool's included
+    const trackUsage = (usage) => {
+      if (usage) {
+        totalInputTokens += usage.input || usage.inputTokens || 0;
+        totalOutputTokens += usage.output || usage.outputTokens || 0;
+      }
+      modelCalls++;
+    };
+
+    const allTools = uploadFiles.length > 0 ? [...browserTools, UPLOAD_TOOL] : browserTools;
+    const tools = policy ? policy.filterTools(allTools) : allTools;
+
+    const cost = () => (totalInputTokens * pricing.input + totalOutputTokens * pricing.output) / 1e6;
+    const overBudget = () =>
+      (maxInputTokens != null && totalInputTokens >= maxInputTokens) ||
+      (maxOutputTokens != null && totalOutputTokens >= maxOutputTokens) ||
+      (maxCost != null && cost() >= maxCost);
+    // A budget spent partway through a chunked extract stops the run, and with it the remaining chunks
+    const extractOpts = {
+      chat,
+      signal: controller.signal,
+      onUsage: (usage) => {
+        trackUsage(usage);
+        if (overBudget()) stop('budget');
+      },
+    };
+
+    // The tool call being executed — interruptible() stops waiting for it, it doesn't stop it
+    let inFlight = null;
+
+    const finish = async (result, reason, data = null) => {
+      // The run is over: late aborts and timeouts no longer apply
+      stopReason ??= reason;
+      clearTimeout(timer);
+      // An abandoned action may still be touching the page: let it wind down before the browser is released
+      if (inFlight) await settleWithin(inFlight, ACTION_SETTLE_TIMEOUT);
+      const recording = record ? await browser.stopRecording({ outputDir: recordDir }) : null;
+      await release();
+      const usage = { inputTokens: totalInputTokens, outputTokens: totalOutputTokens, modelCalls };
+      if (pricing) usage.cost = cost();
+      const output = { result: redact(result), stopReason, usage, steps, recording, finalUrl: currentUrl, snapshot };
+      if (outputSchema) output.data = data && JSON.parse(redact(JSON.stringify(data)));
+      return output;
+    };
+    const finishStopped = () => finish(`${STOP_MESSAGES[stopReason]} Partial results may be available.`);
+
+    // Undo navigations the policy doesn't allow: other tabs are closed, the active page goes back
+    const undoOffPolicy = async (urlBefore) => {
+      const notes = [];
+      const undone = new Set();
+      for (const { pageId, url: target } of offPolicy.splice(0)) {
+        if (undone.has(pageId) || !browser.pages().some(p => p.id === pageId)) continue;
+        // A refused document was already denied — don't ask approve() twice
+        const wasRefused = refused.delete(target.split('#')[0]);
+        if (!wasRefused && await policy.allowsNavigation(target, { url: urlBefore })) continue;
+        undone.add(pageId);
+        const reason = policy.checkUrl(target)?.reason || 'not allowed';
+        try {
+          if (pageId !== browser.pages().find(p => p.active)?.id) {
+            await browser.closePage(pageId);
+            notes.push(`Blocked by policy: a tab opened ${target} (${reason}) and was closed.`);
+          } else {
+            await browser.navigate(policy.checkUrl(urlBefore) ? 'about:blank' : urlBefore);
+            notes.push(`Blocked by policy: navigation to ${target} (${reason}) was undone.`);
+          }
+        } catch {}
+      }
+      const open = openedTabs.filter(tab => browser.pages().some(p => p.id === tab.id));
+      openedTabs.splice(0, openedTabs.length, ...open);
+      return notes.join('\n');
+    };
+
+    // An action cut short by a dialog resumes once the dialog is answered —
+    // let it finish (within ACTION_SETTLE_TIMEOUT) before anything else touches the page
+    let blockedAction = null;
+    const settleBlockedAction = async () => {
+      if (!blockedAction || browser.getDialog()) return;
+      const pending = blockedAction;
+      blockedAction = null;
+      await settleWithin(pending, ACTION_SETTLE_TIMEOUT);
+    };
+
+    // Execute one tool call, record its step and build the observation for the model.
+    // Once the run is stopped it returns STOPPED at the next side effect (action,
+    // undo, tab switch, step record) instead of carrying on in the background.
+    const runTool = async (call, step) => {
+      await settleBlockedAction();
+      if (stopReason) return STOPPED;
+      const args = call.arguments || {};
+      const urlBefore = policy ? await browser.getURL() : null;
+      let result;
+      const actionStart = Date.now();
+      openedTabs.length = 0;
+      dialogsSeen.length = 0;
+      downloadsStarted.length = 0;
+      // A dialog the policy leaves open blocks the action's CDP calls —
+      // return to the model instead of hanging
+      let onDialog;
+      const dialogLeftOpen = new Promise(resolve => {
+        onDialog = () => resolve();
+        browser.on('dialog-unhandled', onDialog);
+      });
+      try {
+        const run = () => {
+          if (stopReason) throw new Error(STOP_MESSAGES[stopReason]);
+          return executeBrowserTool(browser, call.name, args, { uploadFiles, secrets: vault, extract: extractOpts });
+        };
+        // Policy denials (and unapproved actions) come back as tool errors
+        const action = policy ? policy.check(browser, call.name, args, { url: urlBefore }).then(run) : run();
+        action.catch(() => {});
+        result = await Promise.race([action, dialogLeftOpen.then(() => {
+          blockedAction = action;
+          return `Dialog opened during ${call.name}`;
+        })]);
+        if (call.name === 'handle_dialog') await settleBlockedAction();
+      } catch (err) {
+        result = `Error: ${err.message}`;
+      } finally {
+        browser.off('dialog-unhandled', onDialog);
+      }
+      if (stopReason) return STOPPED;
+
+      if (offPolicy.length > 0) {
+        const notes = await undoOffPolicy(urlBefore);
+        if (notes) result = `${result}\n${notes}`;
+      }
+
+      // Follow a tab the action just opened
+      if (stopReason) return STOPPED;
+      if (openedTabs.length > 0) {
+        const tab = openedTabs[openedTabs.length - 1];
+        try {
+          await browser.switchTo(tab.id);
+          result = `${result}\nOpened new tab ${tab.id} and switched to it (use switch_tab to go back).`;
+        } catch {}
+      }
+
+      const downloadNote = downloadsStarted.length > 0 ? redact(await finishDownloads(browser, [...downloadsStarted])) : '';
+      result = redact(result);
+
+      // Record step (once the observation has been checked for injected instructions)
+      const stepEntry = {
+        step: step + 1,
+        action: call.name,
+        ref: args.ref || null,
+        text: redact(args.text || args.url || args.value || null),
+        result: typeof result === 'string' ? (downloadNote ? `${result}\n${downloadNote}` : result).slice(0, 200) : 'ok',
+      };
+      const found = [];
+      const untrusted = (text, source) => {
+        found.push(...guard.scan(text, source));
+        return guard.wrap(text, source);
+      };
+      const observe = async (observation, extra) => {
+        if (stopReason) return STOPPED;
+        if (found.length > 0) {
+          observation = `${formatFindings(found)}\n${observation}`;
+          await report(found, stepEntry);
+        }
+        if (stopReason) return STOPPED;
+        steps.push(stepEntry);
+        if (onStep) onStep(stepEntry);
+        return { observation: redact(observation), ...extra };
+      };
+
+      // Page text returned by a tool is as untrusted as the snapshot
+      if (call.name === 'extract_text' && typeof result === 'string' && !result.startsWith('Error:')) {
+        result = `Page text:\n${untrusted(result, 'extract_text')}`;
+      } else if (call.name === 'extract' && typeof result === 'string' && !result.startsWith('Error:')) {
+        result = `Extracted data:\n${untrusted(result, 'extract')}`;
+      }
+      // So are tab titles and download file names
+      if (call.name === 'list_tabs') {
+        result = `Open tabs:\n${untrusted(result, 'tabs')}`;
+      } else if (call.name === 'switch_tab' && typeof result === 'string' && !result.startsWith('Error:')) {
+        const tab = browser.pages().find(t => t.active);
+        result = `Switched to tab ${tab.id}:\n${untrusted(tab.title || tab.url, 'tabs')}`;
+      }
+      if (downloadNote) result = `${result}\n${untrusted(downloadNote, 'download')}`;
+
+      // Build the observation message
+      const openDialog = browser.getDialog();
+      if (openDialog) {
+        // The page's JS is blocked — no snapshot until the model answers the dialog
+        return await observe(`Action: ${result}\n${formatDialog(openDialog, untrusted)}`, { pageChanged: true, full: false });
+      }
+
+      // Get new snapshot and compute diff (actions already waited for the page to settle)
+      if (stopReason) return STOPPED;
+      prevSnapshot = snapshot;
+      prevUrl = currentUrl;
+
+      snapshot = redact(await browser.getSnapshot());
+      currentUrl = redact(await browser.getURL());
+
+      // Compute incremental diff
+      const diff = computeDiff(prevSnapshot, snapshot, prevUrl, currentUrl);
+
+      let observation;
+      if (diff.isEmpty) {
+        observation = `Action: ${result}\nNo visible changes on the page.`;
+        // Errors are often why a click "did nothing"
+        const errors = reportErrors ? browser.getConsoleLogs({ since: actionStart, level: 'error' }) : [];
+        if (errors.length > 0) {
+          observation += `\nPage errors:\n${untrusted(errors.slice(-5).map(e => `- ${e.text.split('\n')[0].slice(0, 200)}`).join('\n'), 'console')}`;
+        }
+      } else if (diff.isLargeDiff) {
+        // Page changed a lot (navigation) — send full snapshot
+        observation = `Action: ${result}\n\nNew page snapshot:\n${untrusted(`URL: ${currentUrl}\n\n${snapshot}`, 'snapshot')}`;
+      } else {
+        // Incremental diff — much smaller than full snapshot
+        observation = `Action: ${result}\n\nChanges:\n${untrusted(diff.diff, 'diff')}`;
+      }
+
+      const answered = dialogsSeen.filter(d => d.handled);
+      if (answered.length > 0) {
+        observation += '\n' + answered.map(d => `A ${d.type} dialog was ${d.handled} automatically:\n${untrusted(d.message, 'dialog')}`).join('\n');
+      }
+
+      const pageChanged = diff.isLargeDiff || currentUrl !== prevUrl || openedTabs.length > 0;
+      return await observe(observation, { pageChanged, full: !diff.isEmpty && diff.isLargeDiff });
+    };
+
+    // Findings in the starting page are recorded as step 0
+    const startPage = `URL: ${currentUrl}\n\n${snapshot}`;
+    const initialFindings = guard.scan(startPage, 'snapshot');
+    let introWarning = '';
+    if (initialFindings.length > 0) {
+      const loadEntry = { step: 0, action: 'load', ref: null, text: currentUrl, result: 'Initial page' };
+      await report(initialFindings, loadEntry);
+      steps.push(loadEntry);
+      if (onStep) onStep(loadEntry);
+      introWarning = `${formatFindings(initialFindings)}\n`;
+    }
+
+    const context = new ContextManager({
+      maxContextTokens,
+      reserveTokens: estimateTokens(JSON.stringify(tools)) + MAX_OUTPUT_TOKENS,
+    });
+    context.start(
       {
         role: 'system',
         content: `You are a browser automation agent. You interact with web pages using ARIA accessibility snapshots.
@@ -191,121 +761,124 @@ Your task: ${task}
 - You see a text representation of the page (ARIA snapshot) — NOT a screenshot
 - Interactive elements have [ref=eXX] tags — use these refs to click or fill
 - After each action, you'll see what changed (a diff) or a new full snapshot
+- Older snapshots are replaced by short summaries — rely on the latest snapshot and the changes after it
 
 ## Rules
 - Click elements using their ref: click(ref="e5")
 - Fill inputs using their ref: fill(ref="e3", text="search query")
 - The snapshot shows the page structure: roles, names, and refs
-- When you've completed the task, call done(result="...")
-- Be efficient — minimize steps
+- When you've completed the task, call ${outputSchema ? 'done with arguments that match its parameter schema' : 'done(result="...")'}
+- Be efficient — minimize steps${parallelToolCalls === 'first' ? `
+- Call one tool at a time — only the first tool call in each response is executed` : ''}
 - If an action doesn't change anything, try a different approach
 - NEVER hallucinate content — only report what you see in the snapshot
-- For SPAs, content may take a moment to render — try scrolling if page seems empty`,
+- To collect data (lists, tables, search results), use extract rather than reading it off the snapshot — it sees every item
+- For SPAs, content may take a moment to render — try scrolling if page seems empty
+- Links that open a new tab switch you to it automatically — use list_tabs / switch_tab / close_tab to manage tabs
+- If a dialog (alert, confirm, prompt) opens, answer it with handle_dialog before doing anything else${policy ? `
+- Some actions are restricted by policy — when one is denied, don't retry it; find another way or report with done` : ''}${uploadFiles.length > 0 ? `
+- Files available for upload_file: ${uploadFiles.map(p => basename(p)).join(', ')}` : ''}${vault ? `
+- Secrets: type them as placeholders, e.g. fill(ref="e3", text="{{NAME}}") — the real value is filled in for you and never shown. Available: ${vault.describe().join(', ')}` : ''}
+
+${guard.instructions()}`,
       },
       {
         role: 'user',
-        content: `URL: ${currentUrl}\n\nPage snapshot:\n${snapshot}`,
+        content: `${introWarning}Page snapshot:\n${guard.wrap(startPage, 'snapshot')}`,
       },
-    ];
+    );
 
+    let outputRetries = 0;
     for (let step = 0; step < maxSteps; step++) {
-      const response = await chat(messages, {
-        tools: BROWSER_TOOLS,
-        maxTokens: 1024,
-      });
+      if (!stopReason && overBudget()) stop('budget');
+      if (stopReason) return await finishStopped();
 
-      // Track usage
-      if (response.usage) {
-        totalInputTokens += response.usage.input || response.usage.inputTokens || 0;
-        totalOutputTokens += response.usage.output || response.usage.outputTokens || 0;
+      let response;
+      try {
+        response = await interruptible(chat(context.messages(), {
+          tools,
+          maxTokens: MAX_OUTPUT_TOKENS,
+          signal: controller.signal,
+        }));
+      } catch (err) {
+        if (stopReason) return await finishStopped();
+        throw err;
       }
-      modelCalls++;
+      if (response === STOPPED) return await finishStopped();
+
+      trackUsage(response.usage);
 
       const toolCalls = response.toolCalls || response.tool_calls;
-      if (toolCalls && toolCalls.length > 0) {
-        for (const call of toolCalls) {
-          if (call.name === 'done') {
-            const recording = record ? await browser.stopRecording({ outputDir: recordDir }) : null;
-            await browser.close();
-            const usage = { inputTokens: totalInputTokens, outputTokens: totalOutputTokens, modelCalls };
-            return { result: call.arguments.result, usage, steps, recording };
-          }
+      if (!toolCalls || toolCalls.length === 0) {
+        // Model responded with text — done thinking
+        return await finish(response.content || 'Browser task completed (no explicit result).', 'text');
+      }
 
-          let result;
-          try {
-            result = await executeBrowserTool(browser, call.name, call.arguments);
-          } catch (err) {
-            result = `Error: ${err.message}`;
+      // One assistant message carries every call; each gets its own tool result
+      const calls = toolCalls.map((call, i) => ({ ...call, id: call.id || `call_${step}_${i}` }));
+      const results = [];
+      const stepsBefore = steps.length;
+      let skipReason = null;
+      for (const [i, call] of calls.entries()) {
+        if (skipReason) {
+          results.push({ observation: `Not executed: ${skipReason}`, full: false });
+          continue;
+        }
+        if (call.name === 'done') {
+          if (!outputSchema) return await finish(call.arguments?.result, 'done');
+          const data = call.arguments || {};
+          const errors = validate(data, outputSchema);
+          if (errors.length === 0) return await finish(JSON.stringify(data), 'done', data);
+          const problems = errors.map(e => `- ${e}`).join('\n');
+          if (outputRetries >= maxOutputRetries) {
+            return await finish(`The result did not match the output schema:\n${problems}`, 'invalid_output');
           }
+          outputRetries++;
+          results.push({ observation: redact(`Error: the done arguments don't match the output schema:\n${problems}\nCall done again with corrected arguments.`), full: false });
+          skipReason = 'done was rejected. Re-issue it if it is still needed.';
+          continue;
+        }
 
-          // Record step
-          const stepEntry = {
-            step: step + 1,
-            action: call.name,
-            ref: call.arguments.ref || null,
-            text: call.arguments.text || call.arguments.url || call.arguments.value || null,
-            result: typeof result === 'string' ? result.slice(0, 200) : 'ok',
-          };
-          steps.push(stepEntry);
-          if (onStep) onStep(stepEntry);
-
-          // Get new snapshot and compute diff
-          prevSnapshot = snapshot;
-          prevUrl = currentUrl;
-
-          // Small delay for page to update after action
-          await new Promise(r => setTimeout(r, 300));
-
-          snapshot = await browser.getSnapshot();
-          currentUrl = await browser.getURL();
-
-          // Compute incremental diff
-          const diff = computeDiff(prevSnapshot, snapshot, prevUrl, currentUrl);
-
-          // Build the observation message
-          let observation;
-          if (diff.isEmpty) {
-            observation = `Action: ${result}\nNo visible changes on the page.`;
-          } else if (diff.isLargeDiff) {
-            // Page changed a lot (navigation) — send full snapshot
-            observation = `Action: ${result}\nURL: ${currentUrl}\n\nNew page snapshot:\n${snapshot}`;
-          } else {
-            // Incremental diff — much smaller than full snapshot
-            observation = `Action: ${result}\n\nChanges:\n${diff.diff}`;
-          }
+        inFlight = runTool(call, step);
+        const outcome = await interruptible(inFlight);
+        if (outcome === STOPPED) return await finishStopped();
+        inFlight = null;
+        const { observation, pageChanged, full } = outcome;
+        results.push({ observation, full });
 
-          messages.push({
-            role: 'assistant',
-            content: response.content || '',
-            tool_calls: [{
-              id: call.id || `call_${step}`,
-              type: 'function',
-              function: { name: call.name, arguments: JSON.stringify(call.arguments) },
-            }],
-          });
-          messages.push({
-            role: 'tool',
-            tool_call_id: call.id || `call_${step}`,
-            content: observation,
-          });
+        // Refs from the snapshot the model saw are stale once the page navigates or a dialog opens
+        if (parallelToolCalls === 'first' && i < calls.length - 1) {
+          skipReason = 'only one action per turn is executed. Re-issue it if it is still needed.';
+        } else if (pageChanged) {
+          skipReason = 'the page changed after the previous action. Re-issue it if it is still needed.';
         }
-      } else {
-        // Model responded with text — done thinking
-        const recording = record ? await browser.stopRecording({ outputDir: recordDir }) : null;
-        await browser.close();
-        const usage = { inputTokens: totalInputTokens, outputTokens: totalOutputTokens, modelCalls };
-        return { result: response.content || 'Browser task completed (no explicit result).', usage, steps, recording };
       }
+
+      context.addTurn(
+        {
+          role: 'assistant',
+          content: response.content || '',
+          tool_calls: calls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) },
+          })),
+        },
+        calls.map((call, i) => ({
+          message: { role: 'tool', tool_call_id: call.id, content: results[i].observation },
+          full: results[i].full,
+        })),
+        steps.slice(stepsBefore),
+      );
     }
 
-    const recording = record ? await browser.stopRecording({ outputDir: recordDir }) : null;
-    await browser.close();
-    const usage = { inputTokens: totalInputTokens, outputTokens: totalOutputTokens, modelCalls };
-    return { result: 'Browser task hit step limit. Partial results may be available.', usage, steps, recording };
+    return await finish('Browser task hit step limit. Partial results may be available.', 'max_steps');
   } catch (err) {
+    clearTimeout(timer);
+    if (vault) err.message = redact(err.message);
     if (browser) {
       if (record) try { await browser.stopRecording({ outputDir: recordDir }); } catch {}
-      await browser.close();
+      await release();
     }
     throw err;
   }
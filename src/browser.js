@@ -4,9 +4,13 @@
 
 import { spawn, execFileSync } from 'node:child_process';
 import { platform, homedir, tmpdir } from 'node:os';
-import { existsSync, mkdirSync, cpSync, writeFileSync, readdirSync } from 'node:fs';
-import { join } from 'node:path';
+import { existsSync, mkdirSync, cpSync, readFileSync, writeFileSync, readdirSync, renameSync, statSync } from 'node:fs';
+import { join, resolve, basename, extname } from 'node:path';
 import { EventEmitter } from 'node:events';
+import { Locator } from './locator.js';
+import { Route, urlMatcher, isAdUrl } from './routing.js';
+import { HarRecorder } from './har.js';
+import { devices } from './devices.js';
 
 // WebSocket: built-in on Node 22+, fallback to undici on Node 20-21
 let WS = globalThis.WebSocket;
@@ -89,12 +93,50 @@ export function findFfmpeg() {
 // CDP Client
 // ──────────────────────────────────────────────────────────
 
-class CDPClient {
+/**
+ * One CDP session. The root connection is the browser session; pages (and
+ * later iframes) are flat child sessions multiplexed over the same socket.
+ */
+class CDPSession {
+  constructor(client, sessionId) {
+    this._client = client;
+    this.id = sessionId;
+    this._eventHandlers = new Map();
+  }
+
+  on(method, handler) {
+    if (!this._eventHandlers.has(method)) this._eventHandlers.set(method, []);
+    this._eventHandlers.get(method).push(handler);
+  }
+
+  off(method, handler) {
+    const handlers = this._eventHandlers.get(method);
+    if (handlers) {
+      const idx = handlers.indexOf(handler);
+      if (idx !== -1) handlers.splice(idx, 1);
+    }
+  }
+
+  _dispatch(method, params) {
+    const handlers = this._eventHandlers.get(method);
+    if (handlers) {
+      for (const handler of [...handlers]) handler(params);
+    }
+  }
+
+  send(method, params = {}) {
+    return this._client._send(method, params, this.id);
+  }
+}
+
+class CDPClient extends CDPSession {
   constructor(ws) {
+    super(null, undefined);
+    this._client = this;
     this._ws = ws;
     this._id = 0;
     this._callbacks = new Map();
-    this._eventHandlers = new Map();
+    this._sessions = new Map(); // sessionId → CDPSession
 
     ws.addEventListener('message', (event) => {
       const msg = JSON.parse(event.data);
@@ -104,32 +146,42 @@ class CDPClient {
         if (msg.error) reject(new Error(msg.error.message));
         else resolve(msg.result);
       } else if (msg.method) {
-        const handlers = this._eventHandlers.get(msg.method);
-        if (handlers) {
-          for (const handler of handlers) handler(msg.params);
-        }
+        const target = msg.sessionId ? this._sessions.get(msg.sessionId) : this;
+        if (target) target._dispatch(msg.method, msg.params);
+        if (msg.method === 'Target.detachedFromTarget') this._dropSession(msg.params.sessionId);
       }
     });
+
+    // Fail in-flight commands instead of leaving them pending forever
+    ws.addEventListener('close', () => {
+      for (const { reject } of this._callbacks.values()) reject(new Error('CDP connection closed'));
+      this._callbacks.clear();
+    });
   }
 
-  on(method, handler) {
-    if (!this._eventHandlers.has(method)) this._eventHandlers.set(method, []);
-    this._eventHandlers.get(method).push(handler);
+  /** Get (or create) the handle for an attached flat session. */
+  session(sessionId) {
+    if (!this._sessions.has(sessionId)) this._sessions.set(sessionId, new CDPSession(this, sessionId));
+    return this._sessions.get(sessionId);
   }
 
-  off(method, handler) {
-    const handlers = this._eventHandlers.get(method);
-    if (handlers) {
-      const idx = handlers.indexOf(handler);
-      if (idx !== -1) handlers.splice(idx, 1);
+  _dropSession(sessionId) {
+    this._sessions.delete(sessionId);
+    for (const [id, cb] of this._callbacks) {
+      if (cb.sessionId === sessionId) {
+        this._callbacks.delete(id);
+        cb.reject(new Error('Target closed'));
+      }
     }
   }
 
-  send(method, params = {}) {
+  _send(method, params, sessionId) {
     return new Promise((resolve, reject) => {
       const id = ++this._id;
-      this._callbacks.set(id, { resolve, reject });
-      this._ws.send(JSON.stringify({ id, method, params }));
+      this._callbacks.set(id, { resolve, reject, sessionId });
+      const msg = { id, method, params };
+      if (sessionId) msg.sessionId = sessionId;
+      this._ws.send(JSON.stringify(msg));
     });
   }
 
@@ -156,85 +208,146 @@ const SKIP_ROLES = new Set([
 /**
  * Convert CDP accessibility tree to Playwright-style ARIA snapshot text.
  * Returns { snapshot, refMap } where refMap maps ref IDs to backendDOMNodeIds.
+ * `refFor(backendDOMNodeId)` supplies the ref for a node — pass a persistent
+ * registry so the same element keeps its ref across snapshots.
+ * `frames` maps an <iframe> element's backendDOMNodeId to that frame's own
+ * { nodes, refFor, frames, title }; its tree is stitched in under an
+ * `iframe "title"` node.
  */
-function axTreeToSnapshot(nodes) {
+function axTreeToSnapshot(nodes, refFor = counterRefs(), frames = new Map()) {
   if (!nodes || nodes.length === 0) return { snapshot: '', refMap: new Map() };
 
-  // Build parent→children map
-  const childMap = new Map();
-  const nodeMap = new Map();
-  for (const node of nodes) {
-    nodeMap.set(node.nodeId, node);
-    if (node.parentId != null) {
-      if (!childMap.has(node.parentId)) childMap.set(node.parentId, []);
-      childMap.get(node.parentId).push(node.nodeId);
-    }
-  }
-
   const refMap = new Map(); // ref string → backendDOMNodeId
-  let refCounter = 0;
   const lines = [];
 
-  function renderNode(nodeId, depth) {
-    const node = nodeMap.get(nodeId);
-    if (!node) return;
+  function renderTree(nodes, refFor, frames, depth) {
+    // Build parent→children map
+    const childMap = new Map();
+    const nodeMap = new Map();
+    for (const node of nodes) {
+      nodeMap.set(node.nodeId, node);
+      if (node.parentId != null) {
+        if (!childMap.has(node.parentId)) childMap.set(node.parentId, []);
+        childMap.get(node.parentId).push(node.nodeId);
+      }
+    }
 
-    const role = node.role?.value || '';
-    const name = node.name?.value || '';
-    const children = childMap.get(nodeId) || [];
+    function renderNode(nodeId, depth) {
+      const node = nodeMap.get(nodeId);
+      if (!node) return;
 
-    // Always skip InlineTextBox (leaf-level rendering detail)
-    if (role === 'InlineTextBox' || role === 'LineBreak') return;
+      const role = node.role?.value || '';
+      const name = node.name?.value || '';
+      const children = childMap.get(nodeId) || [];
 
-    // Skip roles that don't produce output, but always recurse into children
-    if (SKIP_ROLES.has(role) || role === 'none') {
-      for (const cid of children) renderNode(cid, depth);
-      return;
-    }
+      // Frame owner — render the embedded document in place of the element
+      const frame = node.backendDOMNodeId && frames.get(node.backendDOMNodeId);
+      if (frame) {
+        const title = name || frame.title;
+        lines.push(`${'  '.repeat(depth)}- iframe${title ? ` "${title}"` : ''}`);
+        renderTree(frame.nodes, frame.refFor, frame.frames, depth + 1);
+        return;
+      }
 
-    // Map CDP roles to standard ARIA roles
-    const mappedRole = mapRole(role);
-    if (!mappedRole) {
-      for (const cid of children) renderNode(cid, depth);
-      return;
-    }
+      // Always skip InlineTextBox (leaf-level rendering detail)
+      if (role === 'InlineTextBox' || role === 'LineBreak') return;
+
+      // Skip roles that don't produce output, but always recurse into children
+      if (SKIP_ROLES.has(role) || role === 'none') {
+        for (const cid of children) renderNode(cid, depth);
+        return;
+      }
+
+      // Map CDP roles to standard ARIA roles
+      const mappedRole = mapRole(role);
+      if (!mappedRole) {
+        for (const cid of children) renderNode(cid, depth);
+        return;
+      }
 
-    // Skip ignored nodes that aren't structural parents
-    if (node.ignored && children.length === 0) return;
+      // Skip ignored nodes that aren't structural parents
+      if (node.ignored && children.length === 0) return;
 
-    const indent = '  '.repeat(depth);
-    let ref = '';
+      const indent = '  '.repeat(depth);
+      let ref = '';
 
-    // Assign refs to interactive elements and content with names
-    if (INTERACTIVE_ROLES.has(mappedRole) || (name && mappedRole !== 'generic' && mappedRole !== 'text')) {
-      refCounter++;
-      const refId = `e${refCounter}`;
-      ref = ` [ref=${refId}]`;
-      if (node.backendDOMNodeId) {
+      // Assign refs to interactive elements and content with names.
+      // Nodes without a DOM node can't be acted on, so they get no ref.
+      if (node.backendDOMNodeId && (INTERACTIVE_ROLES.has(mappedRole) || (name && mappedRole !== 'generic' && mappedRole !== 'text'))) {
+        const refId = refFor(node.backendDOMNodeId);
+        ref = ` [ref=${refId}]`;
         refMap.set(refId, node.backendDOMNodeId);
       }
-    }
 
-    const nameStr = name ? ` "${name}"` : '';
-    lines.push(`${indent}- ${mappedRole}${nameStr}${ref}`);
+      const nameStr = name ? ` "${name}"` : '';
+      lines.push(`${indent}- ${mappedRole}${nameStr}${stateAttributes(node, mappedRole, name)}${ref}`);
 
-    for (const cid of children) {
-      renderNode(cid, depth + 1);
+      for (const cid of children) {
+        renderNode(cid, depth + 1);
+      }
     }
-  }
 
-  // Find root node (first node, or node with no parent)
-  const root = nodes.find(n => n.parentId == null) || nodes[0];
-  if (root) {
-    const children = childMap.get(root.nodeId) || [];
-    for (const cid of children) {
-      renderNode(cid, 0);
+    // Find root node (first node, or node with no parent)
+    const root = nodes.find(n => n.parentId == null) || nodes[0];
+    if (root) {
+      const children = childMap.get(root.nodeId) || [];
+      for (const cid of children) {
+        renderNode(cid, depth);
+      }
     }
   }
 
+  renderTree(nodes, refFor, frames, 0);
+
   return { snapshot: lines.join('\n'), refMap };
 }
 
+const VALUE_ROLES = new Set(['textbox', 'searchbox', 'combobox', 'spinbutton', 'slider']);
+
+/**
+ * Render an AX node's state as suffix attributes, e.g.
+ * ` [checked] [expanded=false] [disabled] [required] [level=2] [value="..."]`.
+ * Only states that carry information are emitted (unchecked boxes stay bare).
+ */
+function stateAttributes(node, role, name) {
+  const props = new Map();
+  for (const p of node.properties || []) props.set(p.name, p.value?.value);
+
+  const attrs = [];
+  for (const key of ['checked', 'pressed']) {
+    const v = String(props.get(key));
+    if (v === 'true') attrs.push(key);
+    else if (v === 'mixed') attrs.push(`${key}=mixed`);
+  }
+  if (props.get('selected') === true) attrs.push('selected');
+  if (props.has('expanded')) attrs.push(props.get('expanded') ? 'expanded' : 'expanded=false');
+  if (props.get('disabled') === true) attrs.push('disabled');
+  if (props.get('required') === true) attrs.push('required');
+  if (props.has('level')) attrs.push(`level=${props.get('level')}`);
+
+  const value = node.value?.value;
+  if (VALUE_ROLES.has(role) && value != null && value !== '' && String(value) !== name) {
+    let text = String(value).replace(/\s+/g, ' ');
+    if (text.length > 100) text = text.slice(0, 100) + '...';
+    attrs.push(`value="${text.replace(/"/g, '\\"')}"`);
+  }
+
+  return attrs.map(a => ` [${a}]`).join('');
+}
+
+function isPageTarget(targetInfo) {
+  return targetInfo.type === 'page' && !targetInfo.url.startsWith('devtools://');
+}
+
+/** Fallback ref allocator: numbers refs from e1 on every call (no persistence). */
+function counterRefs() {
+  const seen = new Map();
+  return (backendDOMNodeId) => {
+    if (!seen.has(backendDOMNodeId)) seen.set(backendDOMNodeId, `e${seen.size + 1}`);
+    return seen.get(backendDOMNodeId);
+  };
+}
+
 function mapRole(cdpRole) {
   const map = {
     'button': 'button', 'link': 'link', 'textbox': 'textbox', 'TextField': 'textbox',
@@ -261,10 +374,39 @@ function mapRole(cdpRole) {
   return map[cdpRole] || null;
 }
 
+/** Render a console argument (CDP RemoteObject) as text. */
+function remoteObjectText(obj) {
+  if (obj.type === 'string') return obj.value;
+  if (obj.unserializableValue) return obj.unserializableValue;
+  if (obj.type === 'undefined') return 'undefined';
+  if ('value' in obj) return typeof obj.value === 'object' ? JSON.stringify(obj.value) : String(obj.value);
+  return obj.description || obj.type;
+}
+
+/**
+ * Merge emulation settings (or a device name) over `current`. A `device`
+ * preset supplies defaults that explicit fields override.
+ */
+function resolveEmulation(settings, current = {}) {
+  if (typeof settings === 'string') settings = { device: settings };
+  const { device, ...overrides } = settings;
+  let preset = {};
+  if (device) {
+    preset = devices[device];
+    if (!preset) throw new Error(`Unknown device: ${device}. Available: ${Object.keys(devices).join(', ')}`);
+  }
+  return { ...current, ...preset, ...overrides };
+}
+
 // ──────────────────────────────────────────────────────────
 // Browser session
 // ──────────────────────────────────────────────────────────
 
+const NAV_TIMEOUT = 15000; // max settle time after navigate()
+const ACTION_TIMEOUT = 5000; // max settle time after an action
+const WAIT_UNTIL = new Set(['auto', 'load', 'domcontentloaded', 'networkidle', 'stable', 'none']);
+const MAX_CONSOLE_LOGS = 1000; // oldest entries are dropped beyond this
+
 export class Browser extends EventEmitter {
   /**
    * @param {object} [opts]
@@ -273,14 +415,46 @@ export class Browser extends EventEmitter {
    * @param {string} [opts.userDataDir] - Persistent Chrome profile directory (logins survive across sessions)
    * @param {boolean} [opts.stealth=true] - Enable anti-bot-detection stealth mode
    * @param {number} [opts.port] - CDP debugging port (random by default)
+   * @param {string} [opts.waitUntil='auto'] - Default settle strategy for navigate() and actions
+   * @param {string[]} [opts.blockResources] - Resource types to block: 'image', 'font', 'media', 'stylesheet', … plus 'ads' for known ad/analytics hosts
+   * @param {object} [opts.recordHar] - Record network traffic to a HAR 1.2 file, written on close()
+   * @param {string} opts.recordHar.path - HAR output path
+   * @param {boolean} [opts.recordHar.content=false] - Embed response bodies
+   * @param {function} [opts.recordHar.redact] - (text) => text, applied to the HAR before it is written
+   * @param {object|string} [opts.emulate] - Device name (see devices.js) or emulation settings — see emulate()
+   * @param {object|string} [opts.storageState] - Cookies and storage to restore at launch (object or JSON file path from storageState())
+   * @param {string} [opts.downloadsDir] - Where downloads are saved (default: a fresh temp directory)
+   * @param {string|function} [opts.dialogs='dismiss'] - What to do with alert/confirm/prompt/beforeunload dialogs:
+   *   'accept', 'dismiss' (beforeunload is still accepted so navigations go through), 'manual' (leave open for
+   *   handleDialog()), or `(dialog) => boolean | string | undefined` — true accepts, a string accepts with that
+   *   prompt text, false dismisses, undefined leaves the dialog to the callback (or to handleDialog())
    */
   constructor(opts = {}) {
     super();
     this._opts = opts;
     this._process = null;
-    this._cdp = null;
+    this._external = false; // connected with Browser.connect(): Chrome isn't ours to kill
+    this._ownedTargetId = null; // page opened by connect() itself, closed again on close()
+    this._conn = null; // browser-level connection
+    this._cdp = null; // active page session
     this._port = opts.port ?? 9222 + Math.floor(Math.random() * 1000);
-    this._refMap = new Map(); // ref → backendDOMNodeId (updated on each snapshot)
+    this._pages = new Map(); // page id → { id, targetId, session, url, title, opener, refMap, nodeRefs }
+    this._attaching = new Map(); // targetId → pending attach
+    this._pageCounter = 0;
+    this._page = null;
+    this._refMap = new Map(); // ref → backendDOMNodeId (every ref issued for the active page's document)
+    this._nodeRefs = new Map(); // backendDOMNodeId → ref (keeps refs stable across snapshots)
+    this._refCounter = 0; // never reset, so a stale ref can't alias a new element
+    this._routes = []; // { matcher, pattern, handler } — newest first
+    this._blockResources = new Set(opts.blockResources || []);
+    this._har = opts.recordHar ? new HarRecorder(opts.recordHar) : null;
+    this._emulation = opts.emulate ? resolveEmulation(opts.emulate) : null;
+    this._downloadsDir = resolve(opts.downloadsDir || join(tmpdir(), `better-browse-downloads-${Date.now()}`));
+    this._downloads = new Map(); // guid → { id, url, suggestedFilename, state, receivedBytes, totalBytes, path }
+    this._consoleLogs = []; // console messages, uncaught exceptions and browser log entries, oldest first
+    this._hiddenTargets = new Set(); // targetIds of internal pages (storage seeding), never tracked as tabs
+    this._creatingHidden = new Set(); // pending Target.createTarget calls for internal pages
+    this._sessionStorageScript = null; // seeds restored sessionStorage into each new tab
     this._recording = false;
     this._frames = [];
     this._frameDir = null;
@@ -302,7 +476,8 @@ export class Browser extends EventEmitter {
       '--disable-background-timer-throttling',
       '--disable-backgrounding-occluded-windows',
       '--disable-renderer-backgrounding',
-      '--window-size=1280,900',
+      // Size the window to the emulated viewport so headful runs match what the page sees
+      `--window-size=${this._emulation?.viewport?.width ?? 1280},${this._emulation?.viewport?.height ?? 900}`,
     ];
 
     // Stealth: anti-bot-detection flags
@@ -351,27 +526,214 @@ export class Browser extends EventEmitter {
 
     await this._waitForDebugger();
 
-    const targets = await this._getTargets();
-    const page = targets.find(t => t.type === 'page');
-    if (!page) throw new Error('No page target found');
+    const { webSocketDebuggerUrl } = await this._getVersion();
+    await this._connect(webSocketDebuggerUrl);
+    if (this._opts.storageState) await this.setStorageState(this._opts.storageState);
+
+    this.emit('launch');
+    return this;
+  }
+
+  /**
+   * Attach to an already-running Chrome (started with --remote-debugging-port)
+   * instead of launching one. close() detaches and leaves Chrome running.
+   * @param {object} opts - Any Browser option, plus:
+   * @param {string} [opts.browserURL] - HTTP debugging endpoint, e.g. "http://localhost:9222"
+   * @param {string} [opts.wsEndpoint] - Browser WebSocket URL, e.g. "ws://localhost:9222/devtools/browser/<id>"
+   * @param {boolean} [opts.newPage=false] - Open a fresh tab (closed again on close()) instead of reusing the first one
+   * @param {string} [opts.targetId] - Use this existing tab (a target id from /json/list) instead of the first one
+   * Only that tab and popups opened from it are attached — the browser's other tabs are left alone.
+   * @returns {Promise<Browser>}
+   */
+  static async connect({ browserURL, wsEndpoint, newPage = false, targetId, ...opts } = {}) {
+    if (!browserURL && !wsEndpoint) throw new Error('Browser.connect() needs a browserURL or wsEndpoint');
+    const browser = new Browser(opts);
+    browser._external = true;
+
+    let wsUrl = wsEndpoint;
+    if (!wsUrl) {
+      const res = await fetch(new URL('/json/version', browserURL));
+      if (!res.ok) throw new Error(`No CDP endpoint at ${browserURL} (HTTP ${res.status})`);
+      const { webSocketDebuggerUrl } = await res.json();
+      // Chrome reports the host it bound to (often 127.0.0.1) — reach it the way the caller did
+      const url = new URL(webSocketDebuggerUrl);
+      url.host = new URL(browserURL).host;
+      wsUrl = url.toString();
+    }
+
+    try {
+      await browser._connect(wsUrl, { newPage, targetId });
+      if (browser._opts.storageState) await browser.setStorageState(browser._opts.storageState);
+    } catch (err) {
+      await browser.close();
+      throw err;
+    }
+    return browser;
+  }
 
+  /**
+   * Open the browser-level CDP connection, start tracking page targets and
+   * attach to the first page (or a new one).
+   */
+  async _connect(wsUrl, { newPage = false, targetId } = {}) {
     if (!WS) throw new Error('WebSocket not available. Upgrade to Node 22+ or install the "undici" package.');
-    const ws = new WS(page.webSocketDebuggerUrl);
+    const ws = new WS(wsUrl);
     await new Promise((resolve, reject) => {
       ws.addEventListener('open', resolve);
       ws.addEventListener('error', reject);
     });
 
-    this._cdp = new CDPClient(ws);
+    this._conn = new CDPClient(ws);
+
+    // Track tabs and popups (target=_blank, window.open, OAuth windows).
+    // In a connected Chrome the other tabs are the user's: only popups opened
+    // by pages we track are attached (no stealth scripts, interception or
+    // dialog handling in tabs this library doesn't own).
+    this._conn.on('Target.targetCreated', ({ targetInfo }) => {
+      if (!isPageTarget(targetInfo)) return;
+      if (this._external && !this._pageByTarget(targetInfo.openerId)) return;
+      this._isHiddenTarget(targetInfo.targetId)
+        .then(hidden => hidden ? null : this._attachPage(targetInfo))
+        .catch(() => {});
+    });
+    this._conn.on('Target.targetInfoChanged', ({ targetInfo }) => {
+      const page = this._pageByTarget(targetInfo.targetId);
+      if (page) {
+        page.url = targetInfo.url;
+        page.title = targetInfo.title;
+        this._har?.setTitle(page, targetInfo.title);
+      }
+    });
+    this._conn.on('Target.targetDestroyed', ({ targetId }) => this._onPageClosed(targetId));
+    this._conn.on('Target.detachedFromTarget', ({ targetId }) => {
+      if (targetId) this._onPageClosed(targetId);
+    });
+
+    // Downloads land in downloadsDir under their GUID and are renamed once complete.
+    // A connected Chrome may run on another machine, so only redirect its
+    // downloads when asked to.
+    this._conn.on('Browser.downloadWillBegin', (params) => this._onDownloadStart(params));
+    this._conn.on('Browser.downloadProgress', (params) => this._onDownloadProgress(params));
+    if (!this._external || this._opts.downloadsDir) {
+      mkdirSync(this._downloadsDir, { recursive: true });
+      await this._conn.send('Browser.setDownloadBehavior', {
+        behavior: 'allowAndName',
+        downloadPath: this._downloadsDir,
+        eventsEnabled: true,
+      });
+    }
+
+    await this._conn.send('Target.setDiscoverTargets', { discover: true });
+
+    const { targetInfos } = await this._conn.send('Target.getTargets');
+    let first = newPage ? null : targetInfos.find(isPageTarget);
+    if (targetId) {
+      first = targetInfos.find(t => t.targetId === targetId && isPageTarget(t));
+      if (!first) throw new Error(`No page target ${targetId} in the connected browser`);
+    }
+    if (!first) {
+      const created = await this._conn.send('Target.createTarget', { url: 'about:blank' });
+      if (this._external) this._ownedTargetId = created.targetId;
+      first = { targetId: created.targetId, url: 'about:blank', title: '' };
+    }
+    const page = await this._attachPage(first);
+    await this.switchTo(page.id);
+  }
+
+  /**
+   * Attach to a page target over a flat session. Concurrent calls for the
+   * same target share one attachment.
+   */
+  _attachPage(targetInfo) {
+    const existing = this._pageByTarget(targetInfo.targetId);
+    if (existing) return Promise.resolve(existing);
+    if (this._attaching.has(targetInfo.targetId)) return this._attaching.get(targetInfo.targetId);
+
+    const attach = (async () => {
+      const { sessionId } = await this._conn.send('Target.attachToTarget', { targetId: targetInfo.targetId, flatten: true });
+      const page = {
+        id: `t${++this._pageCounter}`,
+        targetId: targetInfo.targetId,
+        session: this._conn.session(sessionId),
+        url: targetInfo.url || '',
+        title: targetInfo.title || '',
+        opener: this._pageByTarget(targetInfo.openerId)?.id || null,
+        refMap: new Map(),
+        nodeRefs: new Map(),
+        frameSessions: new Map(), // OOPIF frameId → CDPSession
+        frameOwners: new Map(), // OOPIF session id → { backendNodeId of its <iframe>, parent session }
+        inflight: new Set(), // requestIds of in-flight network requests
+        lastNetworkActivity: 0,
+        lifecycle: { loaderId: null, events: new Set() }, // main-frame lifecycle events seen for the current document
+        dialog: null, // open JavaScript dialog, if any
+        dialogWaiters: new Set(), // notified when a dialog is left open (the page's JS is blocked)
+      };
+      await this._initPage(page);
+      this._pages.set(page.id, page);
+      this.emit('tab', this._pageInfo(page));
+      return page;
+    })();
+
+    const done = () => this._attaching.delete(targetInfo.targetId);
+    attach.then(done, done);
+    this._attaching.set(targetInfo.targetId, attach);
+    return attach;
+  }
 
-    await this._cdp.send('Page.enable');
-    await this._cdp.send('Runtime.enable');
-    await this._cdp.send('DOM.enable');
-    await this._cdp.send('Accessibility.enable');
+  /** Enable domains and install per-page hooks on a freshly attached page. */
+  async _initPage(page) {
+    const { session } = page;
+
+    // A new document means new DOM nodes — drop refs that can no longer resolve
+    session.on('Page.frameNavigated', ({ frame }) => {
+      if (!frame.parentId) {
+        page.nodeRefs.clear();
+        page.refMap.clear();
+        this.emit('frame-navigated', { pageId: page.id, url: frame.url + (frame.urlFragment || '') });
+      }
+    });
+
+    // Track in-flight requests and main-frame lifecycle for waitUntil
+    session.on('Network.requestWillBeSent', ({ requestId, type }) => {
+      if (type === 'EventSource') return; // never finishes by design
+      page.inflight.add(requestId);
+      page.lastNetworkActivity = Date.now();
+    });
+    const finished = ({ requestId }) => {
+      if (page.inflight.delete(requestId)) page.lastNetworkActivity = Date.now();
+    };
+    session.on('Network.loadingFinished', finished);
+    session.on('Network.loadingFailed', finished);
+    session.on('Page.lifecycleEvent', ({ frameId, loaderId, name }) => {
+      if (frameId !== page.targetId) return;
+      if (loaderId !== page.lifecycle.loaderId) page.lifecycle = { loaderId, events: new Set() };
+      page.lifecycle.events.add(name);
+    });
+    this._har?.attach(session, page, true);
+    this._captureConsole(page, session);
+
+    // alert/confirm/prompt/beforeunload block the page's JS until answered
+    session.on('Page.javascriptDialogOpening', (params) => this._onDialog(page, params));
+    session.on('Page.javascriptDialogClosed', () => { page.dialog = null; });
+
+    await session.send('Page.enable');
+    await session.send('Page.setLifecycleEventsEnabled', { enabled: true });
+    await session.send('Runtime.enable');
+    await session.send('DOM.enable');
+    await session.send('Accessibility.enable');
+    await session.send('Network.enable');
+    await session.send('Log.enable');
+    await this._setupInterception(session, page.targetId);
+    await this._autoAttachFrames(page, session);
+
+    if (this._sessionStorageScript) {
+      await session.send('Page.addScriptToEvaluateOnNewDocument', { source: this._sessionStorageScript }).catch(() => {});
+    }
+    await this._applyEmulation(session);
 
     // Stealth: hide automation signals from bot detection
     if (this._opts.stealth ?? true) {
-      await this._cdp.send('Page.addScriptToEvaluateOnNewDocument', {
+      await session.send('Page.addScriptToEvaluateOnNewDocument', {
         source: [
           'Object.defineProperty(navigator, "webdriver", { get: () => undefined });',
           'window.chrome = { runtime: {} };',
@@ -380,26 +742,135 @@ export class Browser extends EventEmitter {
         ].join('\n'),
       }).catch(() => {});
     }
-
-    this.emit('launch');
-    return this;
   }
 
-  async _waitForLoad(timeout = 8000) {
-    const start = Date.now();
-    while (Date.now() - start < timeout) {
-      try {
-        const result = await this._cdp.send('Runtime.evaluate', {
-          expression: 'document.readyState',
-          returnByValue: true,
-        });
-        if (result.result.value === 'complete') {
-          await new Promise(r => setTimeout(r, 2000));
-          return;
+  /**
+   * Auto-attach to out-of-process iframes under `session` (recursively) so
+   * their content can be snapshotted and acted on.
+   */
+  async _autoAttachFrames(page, session) {
+    session.on('Target.attachedToTarget', ({ sessionId, targetInfo }) => {
+      if (targetInfo.type !== 'iframe') return;
+      const child = this._conn.session(sessionId);
+      page.frameSessions.set(targetInfo.targetId, child);
+      (async () => {
+        await child.send('Page.enable');
+        await child.send('Runtime.enable');
+        await child.send('DOM.enable');
+        await child.send('Accessibility.enable');
+        this._captureConsole(page, child);
+        await child.send('Log.enable');
+        if (this._har) {
+          this._har.attach(child, page);
+          await child.send('Network.enable');
         }
-      } catch {}
-      await new Promise(r => setTimeout(r, 300));
+        await this._setupInterception(child);
+        await this._autoAttachFrames(page, child);
+      })().catch(() => {});
+    });
+    session.on('Target.detachedFromTarget', ({ sessionId }) => {
+      for (const [frameId, child] of page.frameSessions) {
+        if (child.id === sessionId) page.frameSessions.delete(frameId);
+      }
+      page.frameOwners.delete(sessionId);
+    });
+    await session.send('Target.setAutoAttach', { autoAttach: true, waitForDebuggerOnStart: false, flatten: true });
+  }
+
+  /** Sessions that carry network traffic: every page plus its OOPIFs. */
+  _allSessions() {
+    const sessions = [];
+    for (const page of this._pages.values()) {
+      sessions.push(page.session, ...page.frameSessions.values());
+    }
+    return sessions;
+  }
+
+  _pageByTarget(targetId) {
+    if (!targetId) return null;
+    for (const page of this._pages.values()) {
+      if (page.targetId === targetId) return page;
     }
+    return null;
+  }
+
+  _pageInfo(page) {
+    return {
+      id: page.id,
+      url: page.url,
+      title: page.title,
+      opener: page.opener,
+      active: page === this._page,
+    };
+  }
+
+  _onPageClosed(targetId) {
+    const page = this._pageByTarget(targetId);
+    if (!page) return;
+    this._pages.delete(page.id);
+    this.emit('tab-close', this._pageInfo(page));
+
+    // The active tab went away (closed by us or by window.close()) — fall back
+    // to its opener, else the most recently opened tab
+    if (page === this._page) {
+      const next = this._pages.get(page.opener) || [...this._pages.values()].pop();
+      this._page = null;
+      if (next) this._activate(next);
+    }
+  }
+
+  _activate(page) {
+    this._page = page;
+    this._cdp = page.session;
+    this._refMap = page.refMap;
+    this._nodeRefs = page.nodeRefs;
+  }
+
+  // ── Tabs ──
+
+  /**
+   * List open pages (tabs and popups).
+   * @returns {Array<{ id: string, url: string, title: string, opener: string | null, active: boolean }>}
+   */
+  pages() {
+    return [...this._pages.values()].map(page => this._pageInfo(page));
+  }
+
+  /**
+   * Open a new tab and make it the active page.
+   * @param {string} [url] - URL to load in the new tab
+   */
+  async newPage(url) {
+    const { targetId } = await this._conn.send('Target.createTarget', { url: 'about:blank' });
+    const page = await this._attachPage({ targetId, type: 'page', url: 'about:blank' });
+    await this.switchTo(page.id);
+    if (url) await this.navigate(url);
+    return this._pageInfo(page);
+  }
+
+  /**
+   * Make another page the active one. Snapshots and actions target the active page.
+   * @param {string} pageId - Page id from pages() or the `tab` event (e.g. "t2")
+   */
+  async switchTo(pageId) {
+    const page = this._pages.get(pageId);
+    if (!page) throw new Error(`Unknown page: ${pageId}. Open pages: ${[...this._pages.keys()].join(', ')}`);
+    this._activate(page);
+    await this._conn.send('Target.activateTarget', { targetId: page.targetId }).catch(() => {});
+    return this._pageInfo(page);
+  }
+
+  /**
+   * Close a page (the active one by default). The browser itself stays open.
+   * @param {string} [pageId]
+   */
+  async closePage(pageId = this._page?.id) {
+    const page = this._pages.get(pageId);
+    if (!page) throw new Error(`Unknown page: ${pageId}`);
+    if (this._pages.size === 1) throw new Error('Cannot close the last page — use close() to close the browser');
+    await this._conn.send('Target.closeTarget', { targetId: page.targetId });
+    this._onPageClosed(page.targetId);
+    return `Closed page ${page.id}`;
   }
 
   async _waitForDebugger(retries = 30) {
@@ -419,120 +890,820 @@ export class Browser extends EventEmitter {
     return await res.json();
   }
 
+  async _getVersion() {
+    const res = await fetch(`http://127.0.0.1:${this._port}/json/version`);
+    return await res.json();
+  }
+
+  // ── Emulation ──
+
+  /**
+   * Emulate a device, viewport, locale, timezone or location on every open
+   * page and on pages opened later. Settings merge with earlier ones.
+   * @param {object|string} settings - Device name (e.g. "iPhone 15", "Pixel 7") or:
+   * @param {string} [settings.device] - Preset to start from; other fields override it
+   * @param {{ width: number, height: number }} [settings.viewport] - CSS pixels
+   * @param {number} [settings.deviceScaleFactor] - Device pixel ratio
+   * @param {boolean} [settings.isMobile] - Mobile viewport (meta viewport, overlay scrollbars)
+   * @param {boolean} [settings.hasTouch] - Touch events and `pointer: coarse` (defaults to isMobile)
+   * @param {string} [settings.userAgent]
+   * @param {string} [settings.locale] - e.g. "de-DE" (navigator.language, Intl, Accept-Language)
+   * @param {string} [settings.timezoneId] - IANA timezone, e.g. "Europe/Berlin"
+   * @param {{ latitude: number, longitude: number, accuracy?: number }} [settings.geolocation] - Also grants the geolocation permission
+   * @returns {Promise<object>} The settings now in effect
+   */
+  async emulate(settings) {
+    this._emulation = resolveEmulation(settings, this._emulation || {});
+    for (const page of this._pages.values()) await this._applyEmulation(page.session);
+    return { ...this._emulation };
+  }
+
+  async _applyEmulation(session) {
+    if (!this._emulation) return;
+    const { viewport, deviceScaleFactor, isMobile = false, hasTouch = isMobile, userAgent, locale, timezoneId, geolocation } = this._emulation;
+
+    if (viewport || deviceScaleFactor || isMobile) {
+      await session.send('Emulation.setDeviceMetricsOverride', {
+        width: viewport?.width ?? 0, // 0 keeps the window's size
+        height: viewport?.height ?? 0,
+        deviceScaleFactor: deviceScaleFactor ?? 0,
+        mobile: isMobile,
+      });
+    }
+    await session.send('Emulation.setTouchEmulationEnabled', { enabled: hasTouch, maxTouchPoints: hasTouch ? 5 : 1 });
+    if (userAgent || locale) {
+      const ua = userAgent || (await this._conn.send('Browser.getVersion')).userAgent;
+      await session.send('Emulation.setUserAgentOverride', { userAgent: ua, ...(locale && { acceptLanguage: locale }) });
+    }
+    if (locale) await session.send('Emulation.setLocaleOverride', { locale });
+    if (timezoneId) await session.send('Emulation.setTimezoneOverride', { timezoneId });
+    if (geolocation) {
+      await this._conn.send('Browser.grantPermissions', { permissions: ['geolocation'] });
+      const { latitude, longitude, accuracy = 100 } = geolocation;
+      await session.send('Emulation.setGeolocationOverride', { latitude, longitude, accuracy });
+    }
+  }
+
+  /** Size of the active page's layout viewport in CSS pixels. */
+  async viewportSize() {
+    const { cssLayoutViewport } = await this._cdp.send('Page.getLayoutMetrics');
+    return { width: cssLayoutViewport.clientWidth, height: cssLayoutViewport.clientHeight };
+  }
+
+  // ── Waiting ──
+  //
+  // waitUntil values accepted by navigate() and every action method:
+  //   'auto'             — (default) load if a navigation is underway, then
+  //                        network almost idle (≤2 requests), then DOM quiet
+  //   'load'             — main-frame load event
+  //   'domcontentloaded' — main-frame DOMContentLoaded
+  //   'networkidle'      — no requests in flight for 500ms
+  //   'stable'           — no DOM mutations for 300ms
+  //   'none'             — return immediately
+
+  /**
+   * Wait until the active page has no more than `maxInflight` requests in
+   * flight for `idleTime` ms.
+   * @param {object} [opts]
+   * @param {number} [opts.idleTime=500] - Quiet period in ms
+   * @param {number} [opts.maxInflight=0] - Requests allowed to stay open (long-polls, analytics beacons)
+   * @param {number} [opts.timeout=10000] - Max wait time in ms
+   */
+  async waitForNetworkIdle({ idleTime = 500, maxInflight = 0, timeout = 10000 } = {}) {
+    const page = this._page;
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+      const quietFor = Date.now() - Math.max(page.lastNetworkActivity, start);
+      if (page.inflight.size <= maxInflight && quietFor >= idleTime) return true;
+      await new Promise(r => setTimeout(r, 50));
+    }
+    throw new Error(`Timeout waiting for network idle (${page.inflight.size} requests in flight)`);
+  }
+
+  /**
+   * Wait until the DOM stops changing: an injected MutationObserver must see
+   * no mutations for `quietTime` ms. Survives navigations by re-arming in the
+   * new document.
+   * @param {object} [opts]
+   * @param {number} [opts.quietTime=300] - Quiet period in ms
+   * @param {number} [opts.timeout=5000] - Max wait time in ms
+   */
+  async waitForStable({ quietTime = 300, timeout = 5000 } = {}) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      try {
+        const result = await this._cdp.send('Runtime.evaluate', {
+          expression: `new Promise((resolve) => {
+            let timer;
+            const finish = (stable) => { observer.disconnect(); clearTimeout(timer); clearTimeout(limit); resolve(stable); };
+            const observer = new MutationObserver(() => {
+              clearTimeout(timer);
+              timer = setTimeout(() => finish(true), ${quietTime});
+            });
+            observer.observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+            timer = setTimeout(() => finish(true), ${quietTime});
+            const limit = setTimeout(() => finish(false), ${Math.max(0, deadline - Date.now())});
+          })`,
+          awaitPromise: true,
+          returnByValue: true,
+        });
+        if (result.result.value === true) return true;
+        break;
+      } catch {
+        // Context destroyed by a navigation — try again in the new document
+        await new Promise(r => setTimeout(r, 100));
+      }
+    }
+    throw new Error('Timeout waiting for the page to stop changing');
+  }
+
+  /** Wait for a main-frame lifecycle event (optionally of a specific navigation). */
+  async _waitForLifecycle(name, loaderId, timeout) {
+    const page = this._page;
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+      const { lifecycle } = page;
+      if ((!loaderId || lifecycle.loaderId === loaderId) && lifecycle.events.has(name)) return true;
+      await new Promise(r => setTimeout(r, 50));
+    }
+    throw new Error(`Timeout waiting for ${name}`);
+  }
+
+  /**
+   * Settle after a navigation or action. Best-effort: a page that never goes
+   * quiet (streaming, long-polling) is still usable, so timeouts don't throw.
+   */
+  async _waitUntil(waitUntil = this._opts.waitUntil ?? 'auto', { timeout = ACTION_TIMEOUT, loaderId } = {}) {
+    if (!WAIT_UNTIL.has(waitUntil)) throw new Error(`Unknown waitUntil: ${waitUntil}. Use one of: ${[...WAIT_UNTIL].join(', ')}`);
+    if (waitUntil === 'none') return;
+    const page = this._page;
+    // Nothing settles while a dialog blocks the page — stop waiting as soon as one is left open
+    if (page.dialog && !page.dialog.handled) return;
+    const deadline = Date.now() + timeout;
+    const left = () => Math.max(0, deadline - Date.now());
+    const settle = async () => {
+      switch (waitUntil) {
+        case 'load': return await this._waitForLifecycle('load', loaderId, left());
+        case 'domcontentloaded': return await this._waitForLifecycle('DOMContentLoaded', loaderId, left());
+        case 'networkidle': return await this.waitForNetworkIdle({ timeout: left() });
+        case 'stable': return await this.waitForStable({ timeout: left() });
+        case 'auto': {
+          if (loaderId) await this._waitForLifecycle('load', loaderId, left());
+          await this.waitForNetworkIdle({ idleTime: 300, maxInflight: 2, timeout: left() });
+          // The action may have started a navigation — let the new document load
+          const { lifecycle } = page;
+          if (lifecycle.loaderId && !lifecycle.events.has('load')) await this._waitForLifecycle('load', null, left());
+          await this.waitForStable({ timeout: left() });
+        }
+      }
+    };
+    let notify;
+    const blocked = new Promise(resolve => { notify = resolve; page.dialogWaiters.add(notify); });
+    try {
+      await Promise.race([settle(), blocked]);
+    } catch {} finally {
+      page.dialogWaiters.delete(notify);
+    }
+  }
+
+  // ── Dialogs ──
+
+  /** Apply the dialog policy to a JavaScript dialog that just opened on `page`. */
+  async _onDialog(page, { type, message, defaultPrompt, url }) {
+    const dialog = {
+      pageId: page.id,
+      type,
+      message,
+      defaultPrompt: defaultPrompt || '',
+      url,
+      handled: null, // 'accepted' | 'dismissed' once answered
+      accept: (promptText) => this._closeDialog(page, dialog, true, promptText),
+      dismiss: () => this._closeDialog(page, dialog, false),
+    };
+    page.dialog = dialog;
+    this.emit('dialog', dialog);
+
+    const policy = this._opts.dialogs ?? 'dismiss';
+    try {
+      if (dialog.handled) {
+        // A 'dialog' listener already answered it
+      } else if (typeof policy === 'function') {
+        const decision = await policy(dialog);
+        if (!dialog.handled && decision !== undefined) {
+          if (typeof decision === 'string') await dialog.accept(decision);
+          else if (decision) await dialog.accept();
+          else await dialog.dismiss();
+        }
+      } else if (policy === 'accept' || (policy === 'dismiss' && type === 'beforeunload')) {
+        await dialog.accept();
+      } else if (policy === 'dismiss') {
+        await dialog.dismiss();
+      } else if (policy !== 'manual') {
+        throw new Error(`Unknown dialogs policy: ${policy}. Use 'accept', 'dismiss', 'manual' or a function`);
+      }
+    } catch (err) {
+      if (this.listenerCount('error') > 0) this.emit('error', err);
+    }
+
+    // Still open once the policy has decided: it waits for the caller (handleDialog)
+    if (!dialog.handled) {
+      for (const notify of page.dialogWaiters) notify(dialog);
+      this.emit('dialog-unhandled', dialog);
+    }
+  }
+
+  async _closeDialog(page, dialog, accept, promptText) {
+    if (dialog.handled) throw new Error(`Dialog already ${dialog.handled}`);
+    dialog.handled = accept ? 'accepted' : 'dismissed';
+    const params = { accept };
+    if (promptText != null) params.promptText = String(promptText);
+    await page.session.send('Page.handleJavaScriptDialog', params);
+  }
+
+  /**
+   * The dialog currently open on the active page, or null.
+   * @returns {{ pageId: string, type: string, message: string, defaultPrompt: string, url: string } | null}
+   */
+  getDialog() {
+    const dialog = this._page?.dialog;
+    if (!dialog || dialog.handled) return null;
+    const { pageId, type, message, defaultPrompt, url } = dialog;
+    return { pageId, type, message, defaultPrompt, url };
+  }
+
+  /**
+   * Answer the dialog open on the active page, then wait for the page to settle.
+   * @param {object} [opts]
+   * @param {boolean} [opts.accept=true] - Accept (OK) or dismiss (Cancel)
+   * @param {string} [opts.promptText] - Text to enter into a prompt() before accepting
+   * @param {string} [opts.waitUntil] - See navigate()
+   * @param {number} [opts.timeout] - See navigate()
+   */
+  async handleDialog({ accept = true, promptText, waitUntil, timeout } = {}) {
+    const dialog = this._page?.dialog;
+    if (!dialog || dialog.handled) throw new Error('No dialog is open');
+    await (accept ? dialog.accept(promptText) : dialog.dismiss());
+    await this._waitUntil(waitUntil, { timeout });
+    return `${accept ? 'Accepted' : 'Dismissed'} ${dialog.type} dialog "${dialog.message.slice(0, 100)}"`;
+  }
+
+  // ── Downloads ──
+
+  _downloadInfo(download) {
+    const { id, url, suggestedFilename, state, receivedBytes, totalBytes, path, startedAt } = download;
+    return { id, url, suggestedFilename, state, receivedBytes, totalBytes, path, startedAt };
+  }
+
+  _onDownloadStart({ guid, url, suggestedFilename }) {
+    const download = {
+      id: guid,
+      url,
+      suggestedFilename: basename(suggestedFilename || '') || 'download',
+      state: 'inProgress',
+      receivedBytes: 0,
+      totalBytes: 0,
+      path: null,
+      startedAt: Date.now(),
+    };
+    this._downloads.set(guid, download);
+    this.emit('download-start', this._downloadInfo(download));
+  }
+
+  _onDownloadProgress({ guid, state, receivedBytes, totalBytes }) {
+    const download = this._downloads.get(guid);
+    if (!download || download.state !== 'inProgress') return;
+    download.receivedBytes = receivedBytes;
+    download.totalBytes = totalBytes;
+    if (state === 'inProgress') return;
+
+    download.state = state;
+    if (state === 'completed') {
+      // Give the file its real name, without clobbering earlier downloads
+      const ext = extname(download.suggestedFilename);
+      const stem = download.suggestedFilename.slice(0, download.suggestedFilename.length - ext.length);
+      let path = join(this._downloadsDir, download.suggestedFilename);
+      for (let n = 1; existsSync(path); n++) path = join(this._downloadsDir, `${stem} (${n})${ext}`);
+      try {
+        renameSync(join(this._downloadsDir, guid), path);
+        download.path = path;
+        download.receivedBytes = statSync(path).size;
+      } catch {
+        download.path = join(this._downloadsDir, guid);
+      }
+    }
+    this.emit('download-done', this._downloadInfo(download));
+  }
+
+  /** Downloads seen so far, oldest first. */
+  downloads() {
+    return [...this._downloads.values()].map(d => this._downloadInfo(d));
+  }
+
+  /**
+   * Wait for a download to finish and return its saved path. Waits for the
+   * oldest download still in progress, else the next one to start. A download
+   * that already finished is only picked up with `since`: pass a timestamp
+   * taken before the click and the first download started after it counts,
+   * finished or not.
+   * @param {object} [opts]
+   * @param {number} [opts.timeout=30000] - Max wait time in ms
+   * @param {number} [opts.since] - Date.now() timestamp; consider downloads started at or after it
+   */
+  waitForDownload({ timeout = 30000, since } = {}) {
+    return new Promise((resolve, reject) => {
+      const existing = [...this._downloads.values()]
+        .find(d => since != null ? d.startedAt >= since : d.state === 'inProgress');
+      if (existing?.state === 'completed') return resolve(existing.path);
+      if (existing?.state === 'canceled') return reject(new Error(`Download canceled: ${existing.suggestedFilename}`));
+      let target = existing?.id;
+      const onStart = (download) => { target ??= download.id; };
+      const onDone = (download) => {
+        if (download.id !== target) return;
+        cleanup();
+        if (download.state === 'completed') resolve(download.path);
+        else reject(new Error(`Download canceled: ${download.suggestedFilename}`));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error('Timeout waiting for download'));
+      }, timeout);
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.off('download-start', onStart);
+        this.off('download-done', onDone);
+      };
+      this.on('download-start', onStart);
+      this.on('download-done', onDone);
+    });
+  }
+
+  // ── Console ──
+
+  /** Collect console output, uncaught exceptions and browser log entries from `session`. */
+  _captureConsole(page, session) {
+    session.on('Runtime.consoleAPICalled', ({ type, args, timestamp, stackTrace }) => {
+      const frame = stackTrace?.callFrames?.[0];
+      this._addConsoleEntry({
+        source: 'console',
+        type,
+        level: type === 'error' || type === 'assert' ? 'error' : type === 'warning' ? 'warning' : type === 'debug' ? 'debug' : 'info',
+        text: args.map(remoteObjectText).join(' '),
+        url: frame?.url,
+        lineNumber: frame?.lineNumber,
+        timestamp,
+        pageId: page.id,
+      }, 'console');
+    });
+    session.on('Runtime.exceptionThrown', ({ timestamp, exceptionDetails }) => {
+      this._addConsoleEntry({
+        source: 'exception',
+        type: 'error',
+        level: 'error',
+        text: exceptionDetails.exception?.description || exceptionDetails.text,
+        url: exceptionDetails.url,
+        lineNumber: exceptionDetails.lineNumber,
+        timestamp,
+        pageId: page.id,
+      }, 'pageerror');
+    });
+    // Browser-side messages: failed resource loads, CSP and mixed-content violations, interventions…
+    session.on('Log.entryAdded', ({ entry }) => {
+      this._addConsoleEntry({
+        source: entry.source,
+        type: entry.level,
+        level: entry.level === 'verbose' ? 'debug' : entry.level,
+        text: entry.text,
+        url: entry.url,
+        lineNumber: entry.lineNumber,
+        timestamp: entry.timestamp,
+        pageId: page.id,
+      }, 'console');
+    });
+  }
+
+  _addConsoleEntry(entry, event) {
+    this._consoleLogs.push(entry);
+    if (this._consoleLogs.length > MAX_CONSOLE_LOGS) this._consoleLogs.shift();
+    this.emit(event, entry);
+  }
+
+  /**
+   * Console messages, uncaught exceptions and browser log entries (such as
+   * failed requests) from every page and frame, oldest first.
+   * @param {object} [opts]
+   * @param {number|Date} [opts.since] - Only entries at or after this time (ms since epoch)
+   * @param {string|string[]} [opts.level] - Only these levels: 'error' | 'warning' | 'info' | 'debug'
+   * @param {string} [opts.pageId] - Only entries from this page
+   * @returns {Array<{ source: string, type: string, level: string, text: string, url?: string, lineNumber?: number, timestamp: number, pageId: string }>}
+   */
+  getConsoleLogs({ since, level, pageId } = {}) {
+    const levels = level ? new Set([].concat(level)) : null;
+    const from = since instanceof Date ? since.getTime() : since;
+    return this._consoleLogs.filter(entry =>
+      (from == null || entry.timestamp >= from) &&
+      (!levels || levels.has(entry.level)) &&
+      (!pageId || entry.pageId === pageId));
+  }
+
+  // ── Storage state ──
+
+  /**
+   * Export cookies plus localStorage and sessionStorage of every origin open
+   * in a tab or frame — enough to restore a logged-in session elsewhere.
+   * @param {object} [opts]
+   * @param {string} [opts.path] - Also write the state to this JSON file
+   * @returns {Promise<{ cookies: object[], origins: Array<{ origin: string, localStorage: Array<{ name: string, value: string }>, sessionStorage: Array<{ name: string, value: string }> }> }>}
+   */
+  async storageState({ path } = {}) {
+    const { cookies } = await this._cdp.send('Network.getAllCookies');
+
+    // The active page first, so its sessionStorage wins for origins open in several tabs
+    const sessions = [...new Set([this._cdp, ...this._allSessions()])];
+    const origins = new Map();
+    for (const session of sessions) {
+      try {
+        const { result } = await session.send('Runtime.evaluate', {
+          expression: `(() => {
+            const items = (storage) => Object.keys(storage).map(name => ({ name, value: storage.getItem(name) }));
+            try {
+              return { origin: location.origin, localStorage: items(localStorage), sessionStorage: items(sessionStorage) };
+            } catch { return null; } // opaque origin or storage disabled
+          })()`,
+          returnByValue: true,
+        });
+        const state = result.value;
+        if (!state || state.origin === 'null' || origins.has(state.origin)) continue;
+        if (state.localStorage.length || state.sessionStorage.length) origins.set(state.origin, state);
+      } catch {}
+    }
+
+    const state = { cookies, origins: [...origins.values()] };
+    if (path) writeFileSync(path, JSON.stringify(state, null, 2));
+    return state;
+  }
+
+  /**
+   * Restore state exported by storageState(). Cookies apply immediately;
+   * localStorage is written through a hidden blank page per origin, and
+   * sessionStorage is seeded into each new tab's first document of its origin.
+   * @param {object|string} state - State object, or path to a JSON file
+   */
+  async setStorageState(state) {
+    if (typeof state === 'string') state = JSON.parse(readFileSync(state, 'utf8'));
+    const { cookies = [], origins = [] } = state;
+
+    if (cookies.length > 0) {
+      await this._cdp.send('Network.setCookies', {
+        cookies: cookies.map(c => {
+          const cookie = { name: c.name, value: c.value, domain: c.domain, path: c.path, secure: c.secure, httpOnly: c.httpOnly };
+          if (c.sameSite) cookie.sameSite = c.sameSite;
+          if (c.priority) cookie.priority = c.priority;
+          if (!c.session && c.expires > 0) cookie.expires = c.expires;
+          return cookie;
+        }),
+      });
+    }
+
+    const withLocal = origins.filter(o => o.localStorage?.length);
+    if (withLocal.length > 0) await this._seedLocalStorage(withLocal);
+
+    const withSession = origins.filter(o => o.sessionStorage?.length);
+    if (withSession.length > 0) {
+      const byOrigin = Object.fromEntries(withSession.map(o => [o.origin, o.sessionStorage]));
+      this._sessionStorageScript = `(() => {
+        const items = (${JSON.stringify(byOrigin)})[location.origin];
+        try {
+          if (!items || sessionStorage.length > 0) return;
+          for (const { name, value } of items) sessionStorage.setItem(name, value);
+        } catch {}
+      })();`;
+      for (const page of this._pages.values()) {
+        await page.session.send('Page.addScriptToEvaluateOnNewDocument', { source: this._sessionStorageScript }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Write localStorage for origins that aren't open: load each origin in a
+   * hidden page whose requests are all answered with an empty document.
+   */
+  async _seedLocalStorage(origins) {
+    let targetId;
+    const creating = this._conn.send('Target.createTarget', { url: 'about:blank', background: true })
+      .then(({ targetId }) => {
+        this._hiddenTargets.add(targetId);
+        return targetId;
+      });
+    this._creatingHidden.add(creating);
+    try {
+      targetId = await creating.finally(() => this._creatingHidden.delete(creating));
+      const { sessionId } = await this._conn.send('Target.attachToTarget', { targetId, flatten: true });
+      const session = this._conn.session(sessionId);
+
+      session.on('Fetch.requestPaused', ({ requestId }) => {
+        session.send('Fetch.fulfillRequest', {
+          requestId,
+          responseCode: 200,
+          responseHeaders: [{ name: 'Content-Type', value: 'text/html' }],
+          body: '',
+        }).catch(() => {});
+      });
+      await session.send('Fetch.enable', { patterns: [{ urlPattern: '*', requestStage: 'Request' }] });
+      await session.send('Page.enable');
+
+      for (const { origin, localStorage } of origins) {
+        let onLoad, timer;
+        const loaded = new Promise((resolve) => {
+          onLoad = resolve;
+          session.on('Page.loadEventFired', onLoad);
+          timer = setTimeout(resolve, NAV_TIMEOUT);
+        });
+        await session.send('Page.navigate', { url: `${origin}/` });
+        await loaded;
+        clearTimeout(timer);
+        session.off('Page.loadEventFired', onLoad);
+        await session.send('Runtime.evaluate', {
+          expression: `for (const { name, value } of ${JSON.stringify(localStorage)}) localStorage.setItem(name, value);`,
+        });
+      }
+    } finally {
+      if (targetId) {
+        await this._conn.send('Target.closeTarget', { targetId }).catch(() => {});
+        this._hiddenTargets.delete(targetId);
+      }
+    }
+  }
+
+  /**
+   * Whether a new target is one of our internal pages. Target.targetCreated can
+   * arrive before Target.createTarget answers, so pending creations are awaited first.
+   */
+  async _isHiddenTarget(targetId) {
+    await Promise.all([...this._creatingHidden].map(p => p.catch(() => {})));
+    return this._hiddenTargets.has(targetId);
+  }
+
+  // ── Request routing ──
+
+  _interceptionActive() {
+    return this._routes.length > 0 || this._blockResources.size > 0;
+  }
+
+  /** `mainFrameId` is the page's own frame (its target id); iframe sessions have none. */
+  async _setupInterception(session, mainFrameId = null) {
+    session.on('Fetch.requestPaused', (params) => {
+      this._onRequestPaused(session, params, mainFrameId).catch(() => {});
+    });
+    if (this._interceptionActive()) {
+      await session.send('Fetch.enable', { patterns: [{ urlPattern: '*', requestStage: 'Request' }] });
+    }
+  }
+
+  async _onRequestPaused(session, params, mainFrameId) {
+    const route = new Route(session, params, mainFrameId);
+    const { url, resourceType } = route.request;
+
+    if (resourceType !== 'document' && (this._blockResources.has(resourceType) || (this._blockResources.has('ads') && isAdUrl(url)))) {
+      return await route.abort('BlockedByClient');
+    }
+
+    for (const { matcher, handler } of [...this._routes]) {
+      if (!matcher(url)) continue;
+      try {
+        await handler(route, route.request);
+      } catch (err) {
+        if (this.listenerCount('error') > 0) this.emit('error', err);
+      }
+      if (route.handled) return;
+    }
+    await route.continue();
+  }
+
+  /**
+   * Intercept requests whose URL matches `pattern`. The handler receives a
+   * Route and must call route.continue(overrides?), route.fulfill(response)
+   * or route.abort(reason?) — if it calls none, the next matching route (or
+   * the network) handles the request. Newer routes take precedence.
+   * @param {string|RegExp|function} pattern - URL glob ("**\/api/*"), RegExp, or (url) => boolean
+   * @param {(route: Route, request: object) => any} handler
+   */
+  async route(pattern, handler) {
+    const wasActive = this._interceptionActive();
+    this._routes.unshift({ pattern, matcher: urlMatcher(pattern), handler });
+    if (!wasActive) await this._toggleInterception(true);
+  }
+
+  /**
+   * Remove routes registered for `pattern` (only those using `handler`, if given).
+   */
+  async unroute(pattern, handler) {
+    this._routes = this._routes.filter(r => r.pattern !== pattern || (handler && r.handler !== handler));
+    if (!this._interceptionActive()) await this._toggleInterception(false);
+  }
+
+  async _toggleInterception(enabled) {
+    for (const session of this._allSessions()) {
+      if (enabled) await session.send('Fetch.enable', { patterns: [{ urlPattern: '*', requestStage: 'Request' }] });
+      else await session.send('Fetch.disable').catch(() => {});
+    }
+  }
+
   // ── ARIA Snapshot ──
 
   /**
-   * Get the page's ARIA snapshot as optimized text.
+   * Return the ref for a DOM node, issuing a new one the first time it's seen.
+   * Refs stay bound to their node for as long as the document lives.
+   * backendNodeIds are only unique per renderer, so out-of-process iframe
+   * nodes are keyed by their session too.
+   */
+  _refFor(backendDOMNodeId, session = this._cdp) {
+    const key = `${session.id}:${backendDOMNodeId}`;
+    let ref = this._nodeRefs.get(key);
+    if (!ref) {
+      ref = `e${++this._refCounter}`;
+      this._nodeRefs.set(key, ref);
+      this._refMap.set(ref, { backendNodeId: backendDOMNodeId, session });
+    }
+    return ref;
+  }
+
+  /** Resolve a ref to its node handle: { backendNodeId, session }. */
+  _resolveRef(ref) {
+    const node = this._refMap.get(ref);
+    if (!node) {
+      throw new Error(`Unknown ref: ${ref}. Available refs: ${[...this._refMap.keys()].slice(0, 10).join(', ')}...`);
+    }
+    return node;
+  }
+
+  /**
+   * Collect a frame's AX tree plus, recursively, the trees of its child frames.
+   * Same-process iframes are read through the parent session with a frameId;
+   * out-of-process iframes (OOPIFs) through their own attached session.
+   */
+  async _collectFrame(session, frameTree, isSessionRoot) {
+    const page = this._page;
+    const { nodes } = await session.send('Accessibility.getFullAXTree', isSessionRoot ? {} : { frameId: frameTree.frame.id });
+    const frames = new Map();
+
+    const stitch = async (frameId, title) => {
+      const { backendNodeId } = await session.send('DOM.getFrameOwner', { frameId });
+      const oopif = page.frameSessions.get(frameId);
+      let sub;
+      if (oopif) {
+        page.frameOwners.set(oopif.id, { backendNodeId, parent: session });
+        const { frameTree: childTree } = await oopif.send('Page.getFrameTree');
+        sub = await this._collectFrame(oopif, childTree, true);
+        title = title || childTree.frame.name || childTree.frame.url;
+      } else {
+        const child = (frameTree.childFrames || []).find(c => c.frame.id === frameId);
+        sub = await this._collectFrame(session, child, false);
+      }
+      frames.set(backendNodeId, { ...sub, title });
+    };
+
+    const seen = new Set();
+    for (const child of frameTree.childFrames || []) {
+      seen.add(child.frame.id);
+      try { await stitch(child.frame.id, child.frame.name || child.frame.url); } catch {} // detached mid-snapshot
+    }
+    // OOPIFs missing from this process's frame tree — stitch those this frame owns
+    for (const frameId of page.frameSessions.keys()) {
+      if (seen.has(frameId) || [...frames.values()].some(f => f.frameId === frameId)) continue;
+      try { await stitch(frameId, ''); } catch {} // owned by another frame
+    }
+
+    return { nodes, frames, frameId: frameTree.frame.id, refFor: (id) => this._refFor(id, session) };
+  }
+
+  async _snapshotTree() {
+    const { frameTree } = await this._cdp.send('Page.getFrameTree');
+    const root = await this._collectFrame(this._cdp, frameTree, true);
+    return axTreeToSnapshot(root.nodes, root.refFor, root.frames);
+  }
+
+  /**
+   * Get the page's ARIA snapshot as optimized text, including iframe content.
    * Returns the optimized snapshot string.
    * Ref map is stored internally for use by clickRef/fillRef/hover/selectOption.
+   * @param {object} [opts]
+   * @param {boolean} [opts.full=false] - Keep all content: every list item (not the first 15), header/footer chrome, repeated links and long names
    */
-  async getSnapshot() {
+  async getSnapshot({ full = false } = {}) {
     const { optimizeAll } = await import('./snapshot-optimizer.js');
 
-    const result = await this._cdp.send('Accessibility.getFullAXTree');
-    const { snapshot, refMap } = axTreeToSnapshot(result.nodes);
-
-    this._refMap = refMap;
+    const { snapshot } = await this._snapshotTree();
 
     // Run through the optimizer pipeline
-    const optimized = optimizeAll(snapshot, { maxItems: 15 });
+    const optimized = optimizeAll(snapshot, full ? { full: true } : { maxItems: 15 });
     this.emit('snapshot', optimized);
     return optimized;
   }
 
   /**
    * Get the raw ARIA snapshot without optimization.
-   * Returns { snapshot, refMap }.
+   * Returns { snapshot, refMap } where refMap maps each ref to the same node
+   * handle clickRef & co. use: { backendNodeId, session }. backendNodeIds alone
+   * are ambiguous once out-of-process iframes are stitched in.
    */
   async getRawSnapshot() {
-    const result = await this._cdp.send('Accessibility.getFullAXTree');
-    const { snapshot, refMap } = axTreeToSnapshot(result.nodes);
-    this._refMap = refMap;
-    return { snapshot, refMap };
-  }
-
-  // ── Actions ──
-
-  async navigate(url) {
-    await this._cdp.send('Page.navigate', { url });
-    await this._waitForLoad();
-    this.emit('navigate', url);
-    return `Navigated to ${url}`;
+    const { snapshot, refMap } = await this._snapshotTree();
+    return { snapshot, refMap: new Map([...refMap.keys()].map(ref => [ref, this._resolveRef(ref)])) };
   }
 
   /**
-   * Click an element by its ref ID (e.g. "e5").
-   * Resolves the ref to a DOM node and clicks its center.
+   * Offset of an out-of-process iframe's viewport within the top-level page.
+   * Box models from an OOPIF session are relative to that iframe; input events
+   * go to the top-level page, so add each owner <iframe>'s content origin.
    */
-  async clickRef(ref) {
-    const backendNodeId = this._refMap.get(ref);
-    if (!backendNodeId) {
-      throw new Error(`Unknown ref: ${ref}. Available refs: ${[...this._refMap.keys()].slice(0, 10).join(', ')}...`);
-    }
-
-    // Resolve backendNodeId to a RemoteObject
-    const { object } = await this._cdp.send('DOM.resolveNode', { backendNodeId });
-
-    // Scroll element into view and get its bounding box
-    const { model } = await this._cdp.send('DOM.getBoxModel', { backendNodeId });
-    if (!model) {
-      // Fallback: use JS to scroll into view and get rect
-      const evalResult = await this._cdp.send('Runtime.callFunctionOn', {
-        objectId: object.objectId,
-        functionDeclaration: `function() {
-          this.scrollIntoView({ block: 'center', inline: 'center' });
-          const r = this.getBoundingClientRect();
-          return JSON.stringify({ x: r.x + r.width/2, y: r.y + r.height/2 });
-        }`,
-        returnByValue: true,
-      });
-      const pos = JSON.parse(evalResult.result.value);
-      this.emit('action', { type: 'click', ref, x: pos.x, y: pos.y });
-      return await this.click(pos.x, pos.y);
+  async _frameOffset(session) {
+    let x = 0;
+    let y = 0;
+    let owner = this._page.frameOwners.get(session.id);
+    while (owner) {
+      const { model } = await owner.parent.send('DOM.getBoxModel', { backendNodeId: owner.backendNodeId });
+      x += model.content[0];
+      y += model.content[1];
+      owner = this._page.frameOwners.get(owner.parent.id);
     }
+    return { x, y };
+  }
 
-    // model.content is [x1,y1, x2,y2, x3,y3, x4,y4] — compute center
-    const [x1, y1, x2, y2, x3, y3, x4, y4] = model.content;
-    const cx = (x1 + x2 + x3 + x4) / 4;
-    const cy = (y1 + y2 + y3 + y4) / 4;
-
-    // Scroll into view first
-    await this._cdp.send('Runtime.callFunctionOn', {
+  /**
+   * Scroll a node into view and return its center in top-level page coordinates.
+   */
+  async _nodeCenter({ backendNodeId, session }) {
+    const { object } = await session.send('DOM.resolveNode', { backendNodeId });
+    const evalResult = await session.send('Runtime.callFunctionOn', {
       objectId: object.objectId,
-      functionDeclaration: `function() { this.scrollIntoView({ block: 'center' }); }`,
+      functionDeclaration: `function() {
+        this.scrollIntoView({ block: 'center', inline: 'center' });
+        const r = this.getBoundingClientRect();
+        return JSON.stringify({ x: r.x + r.width/2, y: r.y + r.height/2 });
+      }`,
+      returnByValue: true,
     });
     await new Promise(r => setTimeout(r, 200));
 
-    // Re-get box model after scroll
+    let pos = JSON.parse(evalResult.result.value);
+    const offset = await this._frameOffset(session);
     try {
-      const { model: m2 } = await this._cdp.send('DOM.getBoxModel', { backendNodeId });
-      if (m2) {
-        const [a1, b1, a2, b2, a3, b3, a4, b4] = m2.content;
-        const x = (a1 + a2 + a3 + a4) / 4;
-        const y = (b1 + b2 + b3 + b4) / 4;
-        this.emit('action', { type: 'click', ref, x, y });
-        return await this.click(x, y);
+      // Box model is relative to the root frame of the session, so it's
+      // correct for same-process iframes where getBoundingClientRect isn't
+      const { model } = await session.send('DOM.getBoxModel', { backendNodeId });
+      if (model) {
+        // model.content is [x1,y1, x2,y2, x3,y3, x4,y4] — compute center
+        const [x1, y1, x2, y2, x3, y3, x4, y4] = model.content;
+        pos = { x: (x1 + x2 + x3 + x4) / 4, y: (y1 + y2 + y3 + y4) / 4 };
       }
     } catch {}
+    return { x: pos.x + offset.x, y: pos.y + offset.y };
+  }
 
-    this.emit('action', { type: 'click', ref, x: cx, y: cy });
-    return await this.click(cx, cy);
+  // ── Actions ──
+
+  /**
+   * Navigate the active page.
+   * @param {string} url
+   * @param {object} [opts]
+   * @param {string} [opts.waitUntil='auto'] - 'auto' | 'load' | 'domcontentloaded' | 'networkidle' | 'stable' | 'none'
+   * @param {number} [opts.timeout=15000] - Max time to wait for the page to settle
+   */
+  async navigate(url, { waitUntil, timeout = NAV_TIMEOUT } = {}) {
+    const { loaderId } = await this._cdp.send('Page.navigate', { url });
+    await this._waitUntil(waitUntil, { timeout, loaderId });
+    this.emit('navigate', url);
+    return `Navigated to ${url}`;
+  }
+
+  /**
+   * Click an element by its ref ID (e.g. "e5").
+   * Resolves the ref to a DOM node (in whichever frame it lives) and clicks its center.
+   * @param {string} ref
+   * @param {object} [opts] - { waitUntil, timeout } — see navigate()
+   */
+  async clickRef(ref, opts = {}) {
+    const node = this._resolveRef(ref);
+    const { x, y } = await this._nodeCenter(node);
+    this.emit('action', { type: 'click', ref, x, y });
+    return await this.click(x, y, opts);
   }
 
   /**
    * Fill a textbox identified by ref.
    * Focuses the element, clears it, then types the text.
+   * @param {string} ref
+   * @param {string} text
+   * @param {object} [opts] - { waitUntil, timeout } — see navigate()
+   * @param {boolean} [opts.sensitive=false] - Keep the text out of the `action` event and the return value
    */
-  async fillRef(ref, text) {
-    const backendNodeId = this._refMap.get(ref);
-    if (!backendNodeId) {
-      throw new Error(`Unknown ref: ${ref}`);
-    }
+  async fillRef(ref, text, opts = {}) {
+    const { backendNodeId, session } = this._resolveRef(ref);
 
-    const { object } = await this._cdp.send('DOM.resolveNode', { backendNodeId });
+    const { object } = await session.send('DOM.resolveNode', { backendNodeId });
 
     // Focus and clear the element
-    await this._cdp.send('Runtime.callFunctionOn', {
+    await session.send('Runtime.callFunctionOn', {
       objectId: object.objectId,
       functionDeclaration: `function() {
         this.scrollIntoView({ block: 'center' });
@@ -543,38 +1714,76 @@ export class Browser extends EventEmitter {
     });
     await new Promise(r => setTimeout(r, 100));
 
-    // Type the text
-    await this.type(text);
+    // Type the text (key events are routed to the focused frame)
+    await this.type(text, opts);
+    if (opts.sensitive) {
+      this.emit('action', { type: 'fill', ref, text: '[redacted]' });
+      return `Filled ref=${ref} (sensitive value hidden)`;
+    }
     this.emit('action', { type: 'fill', ref, text });
     return `Filled ref=${ref} with "${text.slice(0, 50)}"`;
   }
 
   /**
-   * Hover over an element by its ref ID.
+   * Origin of the document containing the element — the iframe's origin for
+   * elements inside frames.
+   * @param {string} ref
+   * @returns {Promise<string>}
    */
-  async hover(ref) {
-    const backendNodeId = this._refMap.get(ref);
-    if (!backendNodeId) {
-      throw new Error(`Unknown ref: ${ref}`);
-    }
-
-    const { object } = await this._cdp.send('DOM.resolveNode', { backendNodeId });
+  async refOrigin(ref) {
+    const { backendNodeId, session } = this._resolveRef(ref);
+    const { object } = await session.send('DOM.resolveNode', { backendNodeId });
+    const { result } = await session.send('Runtime.callFunctionOn', {
+      objectId: object.objectId,
+      functionDeclaration: `function() {
+        const doc = this.ownerDocument || this;
+        return doc.defaultView?.origin || doc.location?.origin || 'null';
+      }`,
+      returnByValue: true,
+    });
+    return result.value;
+  }
 
-    const evalResult = await this._cdp.send('Runtime.callFunctionOn', {
+  /**
+   * Describe an element: its tag, type, visible text, the link it sits in
+   * and whether clicking it submits a form.
+   * @param {string} ref
+   * @returns {Promise<{ tag: string, type: string|null, text: string, href: string|null, submits: boolean }>}
+   */
+  async describeRef(ref) {
+    const { backendNodeId, session } = this._resolveRef(ref);
+    const { object } = await session.send('DOM.resolveNode', { backendNodeId });
+    const { result } = await session.send('Runtime.callFunctionOn', {
       objectId: object.objectId,
       functionDeclaration: `function() {
-        this.scrollIntoView({ block: 'center', inline: 'center' });
-        const r = this.getBoundingClientRect();
-        return JSON.stringify({ x: r.x + r.width/2, y: r.y + r.height/2 });
+        const el = this.nodeType === 1 ? this : this.parentElement;
+        const tag = el.tagName.toLowerCase();
+        const type = (el.getAttribute('type') || '').toLowerCase() || null;
+        const form = el.form || el.closest('form');
+        const submits = !!form && ((tag === 'button' && (!type || type === 'submit')) ||
+          (tag === 'input' && (type === 'submit' || type === 'image')));
+        const text = (el.getAttribute('aria-label') || el.innerText || el.value || el.title || '').trim().slice(0, 200);
+        const link = el.closest('a[href]');
+        return { tag, type, text, href: link ? link.href : null, submits };
       }`,
       returnByValue: true,
     });
-    const pos = JSON.parse(evalResult.result.value);
+    return result.value;
+  }
+
+  /**
+   * Hover over an element by its ref ID.
+   * @param {string} ref
+   * @param {object} [opts] - { waitUntil, timeout } — see navigate()
+   */
+  async hover(ref, { waitUntil, timeout } = {}) {
+    const node = this._resolveRef(ref);
+    const pos = await this._nodeCenter(node);
 
     await this._cdp.send('Input.dispatchMouseEvent', {
       type: 'mouseMoved', x: pos.x, y: pos.y,
     });
-    await new Promise(r => setTimeout(r, 300));
+    await this._waitUntil(waitUntil, { timeout });
     this.emit('action', { type: 'hover', ref });
     return `Hovered over ref=${ref}`;
   }
@@ -583,16 +1792,14 @@ export class Browser extends EventEmitter {
    * Select an option from a <select> dropdown by ref.
    * @param {string} ref - Ref of the select/combobox element
    * @param {string} value - Value or visible text of the option to select
+   * @param {object} [opts] - { waitUntil, timeout } — see navigate()
    */
-  async selectOption(ref, value) {
-    const backendNodeId = this._refMap.get(ref);
-    if (!backendNodeId) {
-      throw new Error(`Unknown ref: ${ref}`);
-    }
+  async selectOption(ref, value, { waitUntil, timeout } = {}) {
+    const { backendNodeId, session } = this._resolveRef(ref);
 
-    const { object } = await this._cdp.send('DOM.resolveNode', { backendNodeId });
+    const { object } = await session.send('DOM.resolveNode', { backendNodeId });
 
-    const evalResult = await this._cdp.send('Runtime.callFunctionOn', {
+    const evalResult = await session.send('Runtime.callFunctionOn', {
       objectId: object.objectId,
       functionDeclaration: `function(val) {
         const options = Array.from(this.options || []);
@@ -609,10 +1816,68 @@ export class Browser extends EventEmitter {
     if (!result.ok) {
       throw new Error(`Option "${value}" not found. Available: ${result.available.join(', ')}`);
     }
+    await this._waitUntil(waitUntil, { timeout });
     this.emit('action', { type: 'select', ref, value });
     return `Selected "${result.selected}" in ref=${ref}`;
   }
 
+  /**
+   * Set the files of a file input by ref. The ref may also point at a styled
+   * button (or label, drop zone…) that opens a file chooser for a hidden
+   * <input type=file> — it is clicked and the chooser is intercepted.
+   * @param {string} ref
+   * @param {string|string[]} paths - Local file paths
+   * @param {object} [opts] - { waitUntil, timeout } — see navigate()
+   */
+  async uploadFile(ref, paths, { waitUntil, timeout = ACTION_TIMEOUT } = {}) {
+    const files = [].concat(paths).map(p => resolve(p));
+    for (const file of files) {
+      if (!existsSync(file)) throw new Error(`File not found: ${file}`);
+    }
+    const node = this._resolveRef(ref);
+    const { session } = node;
+
+    const { node: described } = await session.send('DOM.describeNode', { backendNodeId: node.backendNodeId });
+    const attrs = described.attributes || [];
+    const typeIdx = attrs.findIndex((a, i) => i % 2 === 0 && a.toLowerCase() === 'type');
+    const isFileInput = described.nodeName === 'INPUT' && typeIdx !== -1 && attrs[typeIdx + 1].toLowerCase() === 'file';
+
+    let backendNodeId = node.backendNodeId;
+    if (!isFileInput) {
+      // Click the element and catch the file chooser it opens
+      await session.send('Page.setInterceptFileChooserDialog', { enabled: true });
+      try {
+        let onChooser, timer;
+        const chooser = new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`ref=${ref} is not a file input and clicking it opened no file chooser`)), timeout);
+          onChooser = resolve;
+          session.on('Page.fileChooserOpened', onChooser);
+        });
+        chooser.catch(() => {}); // the click may fail first
+        try {
+          const { x, y } = await this._nodeCenter(node);
+          await this.click(x, y, { waitUntil: 'none' });
+          const { mode, backendNodeId: inputId } = await chooser;
+          if (mode === 'selectSingle' && files.length > 1) throw new Error('This file input accepts a single file');
+          backendNodeId = inputId;
+        } finally {
+          clearTimeout(timer);
+          session.off('Page.fileChooserOpened', onChooser);
+        }
+      } finally {
+        await session.send('Page.setInterceptFileChooserDialog', { enabled: false }).catch(() => {});
+      }
+    } else if (files.length > 1 && !attrs.some((a, i) => i % 2 === 0 && a.toLowerCase() === 'multiple')) {
+      throw new Error('This file input accepts a single file');
+    }
+
+    // Fires input and change events like a real selection
+    await session.send('DOM.setFileInputFiles', { files, backendNodeId });
+    await this._waitUntil(waitUntil, { timeout });
+    this.emit('action', { type: 'upload', ref, files });
+    return `Uploaded ${files.map(f => basename(f)).join(', ')} to ref=${ref}`;
+  }
+
   /**
    * Wait for an element matching a CSS selector to appear.
    * @param {string} selector - CSS selector
@@ -631,18 +1896,33 @@ export class Browser extends EventEmitter {
     throw new Error(`Timeout waiting for selector: ${selector}`);
   }
 
-  async click(x, y) {
+  /**
+   * Locate elements by ARIA role and accessible name, resolved against the
+   * live accessibility tree — independent of snapshot ordering.
+   * @param {object} query
+   * @param {string} [query.role] - ARIA role (e.g. "button")
+   * @param {string|RegExp} [query.name] - Accessible name (substring, case-insensitive) or RegExp
+   * @param {boolean} [query.exact=false] - Match a string name exactly
+   * @param {number} [query.nth=0] - Which match to use (negative counts from the end)
+   * @param {Locator|string} [query.within] - Scope the search to a locator or ref
+   * @returns {Locator}
+   */
+  locate(query = {}) {
+    return new Locator(this, query);
+  }
+
+  async click(x, y, { waitUntil, timeout } = {}) {
     await this._cdp.send('Input.dispatchMouseEvent', {
       type: 'mousePressed', x, y, button: 'left', clickCount: 1,
     });
     await this._cdp.send('Input.dispatchMouseEvent', {
       type: 'mouseReleased', x, y, button: 'left', clickCount: 1,
     });
-    await new Promise(r => setTimeout(r, 500));
+    await this._waitUntil(waitUntil, { timeout });
     return `Clicked at (${Math.round(x)}, ${Math.round(y)})`;
   }
 
-  async type(text) {
+  async type(text, { waitUntil, timeout } = {}) {
     for (const char of text) {
       await this._cdp.send('Input.dispatchKeyEvent', {
         type: 'keyDown', text: char,
@@ -651,10 +1931,11 @@ export class Browser extends EventEmitter {
         type: 'keyUp',
       });
     }
+    await this._waitUntil(waitUntil, { timeout });
     return `Typed: "${text.slice(0, 50)}"`;
   }
 
-  async pressKey(key) {
+  async pressKey(key, { waitUntil, timeout } = {}) {
     await this._cdp.send('Input.dispatchKeyEvent', {
       type: 'keyDown', key,
       code: key,
@@ -663,14 +1944,15 @@ export class Browser extends EventEmitter {
     await this._cdp.send('Input.dispatchKeyEvent', {
       type: 'keyUp', key,
     });
+    await this._waitUntil(waitUntil, { timeout });
     return `Pressed: ${key}`;
   }
 
-  async scroll(x, y, deltaX = 0, deltaY = -300) {
+  async scroll(x, y, deltaX = 0, deltaY = -300, { waitUntil, timeout } = {}) {
     await this._cdp.send('Input.dispatchMouseEvent', {
       type: 'mouseWheel', x, y, deltaX, deltaY,
     });
-    await new Promise(r => setTimeout(r, 500));
+    await this._waitUntil(waitUntil, { timeout });
     return `Scrolled`;
   }
 
@@ -690,6 +1972,24 @@ export class Browser extends EventEmitter {
     return result.result.value || '';
   }
 
+  /**
+   * Extract structured data from the page with a chat model.
+   * The full snapshot is sent (in chunks when large); records in lists carry
+   * the `_refs` they were read from, ready for clickRef / fillRef.
+   * @param {object} schema - JSON Schema for the result
+   * @param {object} opts
+   * @param {function} opts.chat - async (messages, { tools, maxTokens, signal }) => { content, toolCalls, usage }
+   * @param {string} [opts.instruction] - What to extract, e.g. "products in the search results"
+   * @param {number} [opts.maxChunkTokens=8000] - Snapshot tokens per model call
+   * @param {AbortSignal} [opts.signal]
+   * @param {function} [opts.onUsage] - Called after each model call with its usage (if any)
+   */
+  async extract(schema, opts = {}) {
+    const { extractData } = await import('./extract.js');
+    const snapshot = await this.getSnapshot({ full: true });
+    return await extractData(snapshot, schema, opts);
+  }
+
   async getURL() {
     const result = await this._cdp.send('Runtime.evaluate', {
       expression: 'window.location.href',
@@ -740,13 +2040,15 @@ export class Browser extends EventEmitter {
       } catch {}
       // Ack to keep receiving frames
       try {
-        await this._cdp.send('Page.screencastFrameAck', { sessionId: params.sessionId });
+        await this._recordingSession.send('Page.screencastFrameAck', { sessionId: params.sessionId });
       } catch {}
     };
 
-    this._cdp.on('Page.screencastFrame', this._frameHandler);
+    // Remember the session: the active page may change while recording
+    this._recordingSession = this._cdp;
+    this._recordingSession.on('Page.screencastFrame', this._frameHandler);
 
-    await this._cdp.send('Page.startScreencast', {
+    await this._recordingSession.send('Page.startScreencast', {
       format: 'jpeg',
       quality,
       maxWidth,
@@ -768,11 +2070,11 @@ export class Browser extends EventEmitter {
     if (!this._recording) return { frames: [], frameCount: 0, video: null, frameDir: null };
 
     try {
-      await this._cdp.send('Page.stopScreencast');
+      await this._recordingSession.send('Page.stopScreencast');
     } catch {}
 
     if (this._frameHandler) {
-      this._cdp.off('Page.screencastFrame', this._frameHandler);
+      this._recordingSession.off('Page.screencastFrame', this._frameHandler);
       this._frameHandler = null;
     }
     this._recording = false;
@@ -813,12 +2115,33 @@ export class Browser extends EventEmitter {
     return { frames, frameCount, video, frameDir: this._frameDir };
   }
 
+  /**
+   * Also apply `redact` to the HAR file written on close() — e.g. to strip
+   * secrets typed in after launch. Does nothing without `recordHar`.
+   * @param {(text: string) => string} redact - Applied to the serialized HAR
+   */
+  addHarRedactor(redact) {
+    this._har?.addRedactor(redact);
+  }
+
   async close() {
     if (this._recording) {
       try { await this.stopRecording(); } catch {}
     }
-    if (this._cdp) {
-      try { await this._cdp.close(); } catch {}
+    if (this._har) {
+      try {
+        this.emit('har', await this._har.save());
+      } catch (err) {
+        if (this.listenerCount('error') > 0) this.emit('error', err);
+      }
+    }
+    if (this._conn) {
+      if (this._external) {
+        // Leave a shared Chrome as we found it
+        if (this._ownedTargetId) await this._conn.send('Target.closeTarget', { targetId: this._ownedTargetId }).catch(() => {});
+        if (this._opts.downloadsDir) await this._conn.send('Browser.setDownloadBehavior', { behavior: 'default' }).catch(() => {});
+      }
+      try { await this._conn.close(); } catch {}
     }
     if (this._process) {
       this._process.kill();
@@ -0,0 +1,151 @@
+/**
+ * Context manager — keeps browseWeb's conversation inside the model's context window
+ *
+ * The conversation is kept as turns (one assistant message + its tool results).
+ * Each time it is sent to the model:
+ *   - only the latest full page snapshot is kept; observations older than it
+ *     describe pages that are gone and are cut down to their "Action: …" line
+ *   - if the estimate is still over `maxContextTokens`, the oldest remaining
+ *     observations are summarized, then the oldest turns are folded into a
+ *     "Previous actions" list (formatActionHistory) on the opening message
+ * The system prompt, the latest full snapshot and the latest turn are always kept.
+ */
+
+import { formatActionHistory } from './snapshot-differ.js';
+import { UNTRUSTED_BLOCK } from './injection.js';
+
+const MESSAGE_OVERHEAD = 4; // role and separators, per message
+const TOKEN_RE = /[\p{L}\p{M}]+|\p{N}{1,3}|[^\s\p{L}\p{M}\p{N}]/gu;
+
+/**
+ * Rough token count for text — no tokenizer needed.
+ * Words count ~1 token per 4 letters, digits go in groups of three and each
+ * punctuation mark counts as one, which suits dense ARIA snapshots better
+ * than a flat characters / 4.
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  let tokens = 0;
+  for (const [piece] of String(text).matchAll(TOKEN_RE)) {
+    tokens += piece.length > 4 ? Math.ceil(piece.length / 4) : 1;
+  }
+  return tokens;
+}
+
+/** Token estimate for one chat message, including its tool calls. */
+export function estimateMessageTokens(message) {
+  let tokens = MESSAGE_OVERHEAD + estimateTokens(message.content);
+  for (const tc of message.tool_calls || []) {
+    tokens += estimateTokens(tc.function?.name) + estimateTokens(tc.function?.arguments);
+  }
+  return tokens;
+}
+
+/** Keep an observation's header (up to the first blank line or page content block) and drop the page content. */
+function summarize(content) {
+  const [head] = content.split(UNTRUSTED_BLOCK)[0].trimEnd().split('\n\n');
+  const short = head.length > 300 ? `${head.slice(0, 300)}…` : head;
+  return `${short}\n[Page details omitted to save context]`;
+}
+
+export class ContextManager {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxContextTokens=100000] - Budget for the whole request (messages + reserve)
+   * @param {number} [opts.reserveTokens=0] - Tokens set aside for tool definitions and the response
+   */
+  constructor({ maxContextTokens = 100000, reserveTokens = 0 } = {}) {
+    this.maxContextTokens = maxContextTokens;
+    this.reserveTokens = reserveTokens;
+    this._system = null;
+    this._intro = null; // { message, full }
+    this._turns = []; // { assistant, results: [{ message, full }], steps }
+  }
+
+  /** Set the system prompt and the opening user message (which holds the first full snapshot). */
+  start(system, intro) {
+    this._system = system;
+    this._intro = { message: intro, full: true };
+  }
+
+  /**
+   * Add a turn: the assistant message with its tool calls, one result per call
+   * (`full` = the observation carries a full page snapshot) and the step entries it produced.
+   */
+  addTurn(assistant, results, steps = []) {
+    this._turns.push({ assistant, results, steps });
+  }
+
+  /** Messages to send to the model, trimmed to the budget. */
+  messages() {
+    const turns = this._turns;
+    const lastTurn = turns.length - 1;
+
+    // Locate the latest full snapshot: observations before it are superseded
+    let latestTurn = -1;
+    let latestResult = -1;
+    for (let t = lastTurn; t >= 0 && latestTurn < 0; t--) {
+      latestResult = turns[t].results.findLastIndex(r => r.full);
+      if (latestResult >= 0) latestTurn = t;
+    }
+
+    const intro = { ...this._intro.message };
+    if (latestTurn >= 0) intro.content = summarize(intro.content);
+    const rendered = turns.map((turn, t) => ({
+      assistant: turn.assistant,
+      results: turn.results.map((r, i) => {
+        const stale = t < latestTurn || (t === latestTurn && i < latestResult);
+        return {
+          message: stale ? { ...r.message, content: summarize(r.message.content) } : r.message,
+          summarized: stale,
+          latest: t === latestTurn && i === latestResult,
+        };
+      }),
+    }));
+
+    const turnSize = (turn) => turn.results.reduce((sum, r) => sum + estimateMessageTokens(r.message), estimateMessageTokens(turn.assistant));
+    const sizes = rendered.map(turnSize);
+    let total = this.reserveTokens + estimateMessageTokens(this._system) + estimateMessageTokens(intro) + sizes.reduce((a, b) => a + b, 0);
+
+    // 1. Summarize the oldest observations, sparing the latest snapshot and the latest turn
+    for (let t = 0; t < lastTurn && total > this.maxContextTokens; t++) {
+      for (const r of rendered[t].results) {
+        if (r.summarized || r.latest) continue;
+        const before = estimateMessageTokens(r.message);
+        r.message = { ...r.message, content: summarize(r.message.content) };
+        r.summarized = true;
+        const saved = before - estimateMessageTokens(r.message);
+        sizes[t] -= saved;
+        total -= saved;
+      }
+    }
+
+    // 2. Fold the oldest turns into "Previous actions", keeping the turn with the latest snapshot
+    const keepFrom = latestTurn < 0 ? lastTurn : latestTurn;
+    let dropped = 0;
+    let historySize = 0;
+    while (total > this.maxContextTokens && dropped < keepFrom) {
+      total -= sizes[dropped];
+      dropped++;
+      const history = formatActionHistory(turns.slice(0, dropped).flatMap(turn => turn.steps));
+      const size = estimateTokens(history);
+      total += size - historySize;
+      historySize = size;
+    }
+    if (dropped > 0) {
+      const history = formatActionHistory(turns.slice(0, dropped).flatMap(turn => turn.steps));
+      if (history) intro.content = `${intro.content}\n\n${history}`;
+    }
+
+    const out = [this._system, intro];
+    for (const turn of rendered.slice(dropped)) {
+      out.push(turn.assistant, ...turn.results.map(r => r.message));
+    }
+    return out;
+  }
+
+  /** Estimated size of the next request in tokens (messages + reserve). */
+  estimate() {
+    return this.messages().reduce((sum, m) => sum + estimateMessageTokens(m), this.reserveTokens);
+  }
+}
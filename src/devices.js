@@ -0,0 +1,86 @@
+/**
+ * Device presets for Browser emulation
+ *
+ *   new Browser({ emulate: 'iPhone 15' });
+ *   await browser.emulate({ device: 'Pixel 7', locale: 'de-DE', timezoneId: 'Europe/Berlin' });
+ *
+ * Viewports are CSS pixels; user agents match the stock browser on each device.
+ */
+
+const IOS_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+const IPAD_UA = 'Mozilla/5.0 (iPad; CPU OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+const ANDROID_UA = (model) => `Mozilla/5.0 (Linux; Android 14; ${model}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36`;
+const DESKTOP_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+
+export const devices = {
+  'iPhone SE': {
+    viewport: { width: 375, height: 667 },
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: IOS_UA,
+  },
+  'iPhone 15': {
+    viewport: { width: 393, height: 852 },
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: IOS_UA,
+  },
+  'iPhone 15 Pro Max': {
+    viewport: { width: 430, height: 932 },
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: IOS_UA,
+  },
+  'iPad Mini': {
+    viewport: { width: 744, height: 1133 },
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: IPAD_UA,
+  },
+  'iPad Pro 11': {
+    viewport: { width: 834, height: 1194 },
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: IPAD_UA,
+  },
+  'Pixel 7': {
+    viewport: { width: 412, height: 915 },
+    deviceScaleFactor: 2.625,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: ANDROID_UA('Pixel 7'),
+  },
+  'Galaxy S23': {
+    viewport: { width: 360, height: 780 },
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: ANDROID_UA('SM-S911B'),
+  },
+  'Galaxy Tab S9': {
+    viewport: { width: 800, height: 1280 },
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: ANDROID_UA('SM-X710').replace(' Mobile', ''),
+  },
+  'Desktop HD': {
+    viewport: { width: 1366, height: 768 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: DESKTOP_UA,
+  },
+  'Desktop Full HD': {
+    viewport: { width: 1920, height: 1080 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: DESKTOP_UA,
+  },
+};
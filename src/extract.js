@@ -0,0 +1,241 @@
+/**
+ * Schema-driven data extraction from an ARIA snapshot
+ *
+ *   const { products } = await browser.extract({
+ *     type: 'object',
+ *     properties: {
+ *       products: {
+ *         type: 'array',
+ *         items: { type: 'object', properties: { name: { type: 'string' }, price: { type: 'number' } }, required: ['name'] },
+ *       },
+ *     },
+ *   }, { instruction: 'Products in the search results', chat });
+ *   // products[0] → { name: 'Blue mug', price: 12, _refs: ['e41', 'e42'] }
+ *
+ * The whole snapshot is sent (lists are not truncated), split into chunks of
+ * about `maxChunkTokens` when it is large. Consecutive chunks overlap by about
+ * `overlapTokens`, so a record cut at a boundary is seen whole in one of them.
+ * Each chunk's answer is validated against the schema, then the answers are
+ * merged: arrays are concatenated, and object fields keep the first value found.
+ * A record that shares a ref from the overlap with one from the previous chunk
+ * is the same record read twice, and the two are merged; records are otherwise
+ * kept as reported, even when their values are identical.
+ * Every object inside an array gets `_refs`, the snapshot refs it was read
+ * from, so a caller can click or fill them afterwards.
+ */
+
+import { estimateTokens } from './context.js';
+import { ContentGuard } from './injection.js';
+import { validate } from './schema.js';
+
+const MAX_CHUNK_TOKENS = 8000;
+const OVERLAP_TOKENS = 400;
+const MAX_RESPONSE_TOKENS = 4096;
+const MAX_CORRECTIONS = 1; // per chunk, when the answer doesn't match the schema
+const REF_RE = /\[ref=([^\]\s]+)\]/g;
+
+const REFS_PROPERTY = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Refs (like "e12") of the snapshot lines this record was read from',
+};
+
+/** Copy of `schema` where every object inside an array also takes `_refs`. */
+function withRefs(schema, inArray = false) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = { ...schema };
+  if (out.properties) {
+    out.properties = Object.fromEntries(Object.entries(out.properties).map(([k, v]) => [k, withRefs(v)]));
+  }
+  if (out.items && typeof out.items === 'object') out.items = withRefs(out.items, true);
+  for (const key of ['anyOf', 'oneOf', 'allOf']) {
+    if (out[key]) out[key] = out[key].map(s => withRefs(s, inArray));
+  }
+  const isObject = out.type === 'object' || (Array.isArray(out.type) && out.type.includes('object')) || out.properties;
+  if (inArray && isObject) out.properties = { ...out.properties, _refs: REFS_PROPERTY };
+  return out;
+}
+
+/**
+ * Split a snapshot into chunks of whole lines, each about `maxTokens` long.
+ * Each chunk after the first starts with the last `overlapTokens` (at most half
+ * a chunk) of the one before.
+ */
+export function chunkSnapshot(snapshot, maxTokens = MAX_CHUNK_TOKENS, overlapTokens = 0) {
+  const overlap = Math.min(overlapTokens, maxTokens / 2);
+  const chunks = [];
+  let lines = []; // [line, tokens]
+  let size = 0;
+  let fresh = 0; // lines not carried over from the previous chunk
+  for (const line of snapshot.split('\n')) {
+    const tokens = estimateTokens(line) + 1;
+    if (size + tokens > maxTokens && fresh > 0) {
+      chunks.push(lines.map(([text]) => text).join('\n'));
+      let start = lines.length;
+      let carried = 0;
+      while (start > 0 && carried + lines[start - 1][1] <= overlap) carried += lines[--start][1];
+      lines = lines.slice(start);
+      size = carried;
+      fresh = 0;
+    }
+    lines.push([line, tokens]);
+    size += tokens;
+    fresh++;
+  }
+  if (fresh > 0) chunks.push(lines.map(([text]) => text).join('\n'));
+  return chunks;
+}
+
+/** Drop refs the model made up, keeping only those present in the chunk. */
+function keepKnownRefs(value, known) {
+  if (Array.isArray(value)) return value.map(item => keepKnownRefs(item, known));
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = k === '_refs' && Array.isArray(v) ? [...new Set(v.filter(ref => known.has(ref)))] : keepKnownRefs(v, known);
+  }
+  return out;
+}
+
+/**
+ * Merge a chunk's result `b` into the results so far `a`: arrays are concatenated,
+ * objects merged field by field (the first value wins). `shared` holds the refs of
+ * the overlap with the previous chunk — a record in `b` with one of those refs that
+ * an earlier record also has is the same record, so the two are merged into one.
+ * Records are never collapsed for having equal values.
+ */
+export function mergeExtracted(a, b, shared = new Set()) {
+  if (b == null) return a;
+  if (Array.isArray(b)) {
+    if (a != null && !Array.isArray(a)) return a;
+    const out = [...(a || [])];
+    const earlier = new Map(); // overlap ref → index of the earlier record read from it
+    out.forEach((record, i) => {
+      for (const ref of record?._refs || []) if (shared.has(ref)) earlier.set(ref, i);
+    });
+    for (const record of b) {
+      const i = (record?._refs || []).map(ref => earlier.get(ref)).find(index => index !== undefined);
+      if (i === undefined) {
+        out.push(record);
+        continue;
+      }
+      const { _refs, ...fields } = record;
+      out[i] = { ...mergeExtracted(out[i], fields, shared), _refs: [...new Set([...out[i]._refs, ..._refs])] };
+    }
+    return out;
+  }
+  if (typeof b === 'object') {
+    if (a != null && (typeof a !== 'object' || Array.isArray(a))) return a;
+    const out = { ...a };
+    for (const [k, v] of Object.entries(b)) out[k] = mergeExtracted(out[k], v, shared);
+    return out;
+  }
+  return a ?? b;
+}
+
+/** The answer from a tool call, or JSON in the text (fenced or not). */
+function parseAnswer(response) {
+  const call = (response.toolCalls || response.tool_calls || [])[0];
+  if (call) {
+    const args = typeof call.arguments === 'string' ? JSON.parse(call.arguments) : call.arguments || {};
+    return { call, data: args.data };
+  }
+  const text = (response.content || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+  return { call: null, data: JSON.parse(text) };
+}
+
+/**
+ * Extract schema-conforming data from an ARIA snapshot with a chat model.
+ * @param {string} snapshot - Full ARIA snapshot (with refs)
+ * @param {object} schema - JSON Schema for the result
+ * @param {object} opts
+ * @param {function} opts.chat - async (messages, { tools, maxTokens, signal }) => { content, toolCalls, usage }
+ * @param {string} [opts.instruction] - What to extract, in plain words
+ * @param {number} [opts.maxChunkTokens=8000] - Snapshot tokens per model call
+ * @param {number} [opts.overlapTokens=400] - Snapshot tokens repeated at the start of the next chunk
+ * @param {AbortSignal} [opts.signal] - Passed on to `chat`, and checked before each model call
+ * @param {function} [opts.onUsage] - Called after each model call with its `usage` (if any)
+ * @returns {Promise<*>} The merged data
+ */
+export async function extractData(snapshot, schema, { chat, instruction, maxChunkTokens = MAX_CHUNK_TOKENS, overlapTokens = OVERLAP_TOKENS, signal, onUsage } = {}) {
+  if (typeof chat !== 'function') throw new Error('extract needs a chat function: (messages, { tools, maxTokens }) => { content, toolCalls, usage }');
+  if (!schema || typeof schema !== 'object') throw new Error('extract needs a JSON Schema object');
+
+  const target = withRefs(schema);
+  const chunks = chunkSnapshot(snapshot, maxChunkTokens, overlapTokens);
+  // A field may be missing from any one part, so parts are checked without the top-level `required`
+  const partSchema = chunks.length > 1 ? { ...target, required: undefined } : target;
+  const tool = {
+    type: 'function',
+    function: {
+      name: 'save_data',
+      description: 'Save the data extracted from this part of the page.',
+      parameters: { type: 'object', properties: { data: target }, required: ['data'] },
+    },
+  };
+  const guard = new ContentGuard();
+  const system = `You extract structured data from an ARIA snapshot of a web page.
+- Call save_data once with data matching its schema
+- Only use what the snapshot shows — never guess or fill in missing values
+- For every record in a list, set _refs to the [ref=…] ids of the lines it came from${chunks.length > 1 ? `
+- The page is split into ${chunks.length} overlapping parts; report only what is in this part (use empty lists when nothing matches)
+- Skip a record cut off at the start or end of the part — the neighbouring part has it whole` : ''}
+
+${guard.instructions()}`;
+
+  let merged;
+  let previousRefs = new Set();
+  for (const [i, chunk] of chunks.entries()) {
+    const messages = [
+      { role: 'system', content: system },
+      {
+        role: 'user',
+        content: `${instruction ? `Extract: ${instruction}\n\n` : ''}${chunks.length > 1 ? `Part ${i + 1} of ${chunks.length}:\n` : ''}${guard.wrap(chunk, 'snapshot')}`,
+      },
+    ];
+
+    let data;
+    for (let attempt = 0; ; attempt++) {
+      signal?.throwIfAborted();
+      const response = await chat(messages, { tools: [tool], maxTokens: MAX_RESPONSE_TOKENS, signal });
+      if (onUsage) onUsage(response.usage);
+      let answer;
+      let errors;
+      try {
+        answer = parseAnswer(response);
+        errors = validate(answer.data, partSchema);
+      } catch (err) {
+        answer = { call: null };
+        errors = [`the answer is not valid JSON (${err.message})`];
+      }
+      if (errors.length === 0) {
+        data = answer.data;
+        break;
+      }
+      if (attempt >= MAX_CORRECTIONS) {
+        throw new Error(`Extracted data does not match the schema:\n${errors.map(e => `- ${e}`).join('\n')}`);
+      }
+      const problems = `The data doesn't match the schema:\n${errors.map(e => `- ${e}`).join('\n')}\nCall save_data again with corrected data.`;
+      if (answer.call) {
+        const id = answer.call.id || `extract_${i}_${attempt}`;
+        messages.push(
+          { role: 'assistant', content: response.content || '', tool_calls: [{ id, type: 'function', function: { name: 'save_data', arguments: typeof answer.call.arguments === 'string' ? answer.call.arguments : JSON.stringify(answer.call.arguments || {}) } }] },
+          { role: 'tool', tool_call_id: id, content: `Error: ${problems}` },
+        );
+      } else {
+        messages.push({ role: 'assistant', content: response.content || '' }, { role: 'user', content: problems });
+      }
+    }
+
+    const known = new Set([...chunk.matchAll(REF_RE)].map(m => m[1]));
+    const shared = new Set([...known].filter(ref => previousRefs.has(ref)));
+    merged = mergeExtracted(merged, keepKnownRefs(data, known), shared);
+    previousRefs = known;
+  }
+
+  const errors = validate(merged, target);
+  if (errors.length > 0) {
+    throw new Error(`Extracted data does not match the schema:\n${errors.map(e => `- ${e}`).join('\n')}`);
+  }
+  return merged;
+}
@@ -0,0 +1,269 @@
+/**
+ * HAR recorder — capture a session's network traffic as a HAR 1.2 file
+ *
+ *   const browser = new Browser({ recordHar: { path: 'run.har' } });
+ *
+ * Listens to Network.requestWillBeSent / responseReceived / loadingFinished /
+ * loadingFailed on every page (and OOPIF) session. Each main-frame navigation
+ * starts a new HAR page with onContentLoad / onLoad timings, so the file
+ * opens in Chrome DevTools and other standard HAR viewers.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+const MAX_BODY_SIZE = 1024 * 1024; // skip embedding bodies larger than 1MB
+
+const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+function headerList(headers = {}) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+function queryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function httpVersion(protocol) {
+  if (!protocol) return 'HTTP/1.1';
+  if (protocol === 'h2') return 'HTTP/2.0';
+  if (protocol === 'h3' || protocol.startsWith('h3-')) return 'HTTP/3.0';
+  return protocol.toUpperCase();
+}
+
+/** Milliseconds between two CDP monotonic timestamps (seconds), or -1. */
+function since(start, end) {
+  return start != null && end != null ? Math.max(0, (end - start) * 1000) : -1;
+}
+
+/** Convert CDP ResourceTiming into HAR timings (all ms, -1 = not applicable). */
+function harTimings(timing, finishedAt, startedAt) {
+  const total = since(startedAt, finishedAt);
+  if (!timing) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: Math.max(0, total), receive: 0 };
+  }
+  const span = (a, b) => (a >= 0 && b >= 0 ? b - a : -1);
+  const dns = span(timing.dnsStart, timing.dnsEnd);
+  const connect = span(timing.connectStart, timing.connectEnd);
+  const ssl = span(timing.sslStart, timing.sslEnd);
+  const send = Math.max(0, span(timing.sendStart, timing.sendEnd));
+  const wait = Math.max(0, span(timing.sendEnd, timing.receiveHeadersEnd));
+  const blockedUntil = [timing.dnsStart, timing.connectStart, timing.sendStart].find(t => t >= 0) ?? 0;
+  const queued = since(startedAt, timing.requestTime);
+  const receive = finishedAt != null ? Math.max(0, since(timing.requestTime, finishedAt) - timing.receiveHeadersEnd) : 0;
+  return { blocked: Math.max(0, queued) + blockedUntil, dns, connect, ssl, send, wait, receive };
+}
+
+export class HarRecorder {
+  /**
+   * @param {object} opts
+   * @param {string} opts.path - Where to write the HAR file
+   * @param {boolean} [opts.content=false] - Embed response bodies (text as-is, binary as base64)
+   * @param {function} [opts.redact] - (text) => text, applied to the serialized HAR (e.g. to strip secrets)
+   */
+  constructor({ path, content = false, redact } = {}) {
+    if (!path) throw new Error('recordHar.path is required');
+    this.path = path;
+    this._content = content;
+    this._redact = redact;
+    this._creator = { name: 'betterbrowse', version };
+    this._pages = []; // HAR pages, in navigation order
+    this._currentPage = new Map(); // browser page id → HAR page
+    this._entries = new Map(); // `${session.id}:${requestId}` → pending entry
+    this._done = []; // finished entries
+    this._bodies = new Set(); // pending getResponseBody calls
+  }
+
+  /**
+   * Record traffic on `session`, attributing it to the browser page `page`.
+   * Pass `main = true` for the page's own session (not an OOPIF) so
+   * navigations and load events start and time HAR pages.
+   */
+  attach(session, page, main = false) {
+    const key = (requestId) => `${session.id}:${requestId}`;
+
+    session.on('Network.requestWillBeSent', (params) => {
+      const id = key(params.requestId);
+
+      // Redirects reuse the requestId: close the previous hop first
+      if (params.redirectResponse && this._entries.has(id)) {
+        const prev = this._entries.get(id);
+        this._setResponse(prev, params.redirectResponse);
+        this._finish(prev, params.timestamp);
+      }
+
+      if (main && params.type === 'Document' && params.frameId === page.targetId) {
+        this._startPage(page, params);
+      }
+
+      const { request } = params;
+      const postData = request.postData ?? request.postDataEntries?.map(e => e.bytes ? Buffer.from(e.bytes, 'base64').toString() : '').join('');
+      this._entries.set(id, {
+        pageref: this._currentPage.get(page.id)?.id,
+        startedAt: params.timestamp,
+        wallTime: params.wallTime,
+        request: {
+          method: request.method,
+          url: request.url + (request.urlFragment || ''),
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: headerList(request.headers),
+          queryString: queryString(request.url),
+          ...(postData != null && {
+            postData: { mimeType: request.headers['Content-Type'] || request.headers['content-type'] || '', text: postData },
+          }),
+          headersSize: -1,
+          bodySize: postData != null ? Buffer.byteLength(postData) : 0,
+        },
+        response: null,
+        timing: null,
+        serverIPAddress: undefined,
+      });
+    });
+
+    session.on('Network.responseReceived', ({ requestId, response }) => {
+      const entry = this._entries.get(key(requestId));
+      if (entry) this._setResponse(entry, response);
+    });
+
+    session.on('Network.loadingFinished', ({ requestId, timestamp, encodedDataLength }) => {
+      const id = key(requestId);
+      const entry = this._entries.get(id);
+      if (!entry) return;
+      this._entries.delete(id);
+      entry.transferSize = encodedDataLength;
+      if (this._content && entry.response) this._fetchBody(session, requestId, entry);
+      this._finish(entry, timestamp);
+    });
+
+    session.on('Network.loadingFailed', ({ requestId, timestamp, errorText, canceled, blockedReason }) => {
+      const id = key(requestId);
+      const entry = this._entries.get(id);
+      if (!entry) return;
+      this._entries.delete(id);
+      entry.error = blockedReason ? `blocked:${blockedReason}` : canceled ? 'canceled' : errorText;
+      this._finish(entry, timestamp);
+    });
+
+    if (main) {
+      session.on('Page.domContentEventFired', ({ timestamp }) => {
+        const harPage = this._currentPage.get(page.id);
+        if (harPage) harPage.pageTimings.onContentLoad = since(harPage._startedAt, timestamp);
+      });
+      session.on('Page.loadEventFired', ({ timestamp }) => {
+        const harPage = this._currentPage.get(page.id);
+        if (harPage) harPage.pageTimings.onLoad = since(harPage._startedAt, timestamp);
+      });
+    }
+  }
+
+  /** Set the title of the page's current HAR page (called as titles change). */
+  setTitle(page, title) {
+    const harPage = this._currentPage.get(page.id);
+    if (harPage && title) harPage.title = title;
+  }
+
+  _startPage(page, params) {
+    const harPage = {
+      startedDateTime: new Date(params.wallTime * 1000).toISOString(),
+      id: `page_${this._pages.length + 1}`,
+      title: params.documentURL || params.request.url,
+      pageTimings: { onContentLoad: -1, onLoad: -1 },
+      _startedAt: params.timestamp,
+    };
+    this._pages.push(harPage);
+    this._currentPage.set(page.id, harPage);
+  }
+
+  _setResponse(entry, response) {
+    entry.response = response;
+    entry.timing = response.timing || null;
+    entry.serverIPAddress = response.remoteIPAddress;
+    entry.request.httpVersion = httpVersion(response.protocol);
+    if (response.requestHeaders) entry.request.headers = headerList(response.requestHeaders);
+  }
+
+  _fetchBody(session, requestId, entry) {
+    const pending = session.send('Network.getResponseBody', { requestId })
+      .then(({ body, base64Encoded }) => {
+        const size = base64Encoded ? Buffer.byteLength(body, 'base64') : Buffer.byteLength(body);
+        if (size > MAX_BODY_SIZE) return;
+        entry.body = { text: body, ...(base64Encoded && { encoding: 'base64' }) };
+      })
+      .catch(() => {}) // redirects, evicted resources, closed targets
+      .finally(() => this._bodies.delete(pending));
+    this._bodies.add(pending);
+  }
+
+  _finish(entry, finishedAt) {
+    entry.finishedAt = finishedAt;
+    this._done.push(entry);
+  }
+
+  _toHar(entry) {
+    const res = entry.response;
+    const timings = harTimings(entry.timing, entry.finishedAt, entry.startedAt);
+    // `ssl` is already part of `connect`, so it doesn't add to the total
+    const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive'].reduce((sum, k) => sum + Math.max(0, timings[k]), 0);
+    const headers = res ? headerList(res.headers) : [];
+    const location = headers.find(h => h.name.toLowerCase() === 'location')?.value || '';
+    const content = {
+      size: res?.encodedDataLength ?? 0,
+      mimeType: res?.mimeType || '',
+      ...entry.body,
+    };
+    if (entry.body?.text != null) {
+      content.size = entry.body.encoding ? Buffer.byteLength(entry.body.text, 'base64') : Buffer.byteLength(entry.body.text);
+    }
+
+    return {
+      ...(entry.pageref && { pageref: entry.pageref }),
+      startedDateTime: new Date((entry.wallTime ?? Date.now() / 1000) * 1000).toISOString(),
+      time,
+      request: entry.request,
+      response: {
+        status: res?.status ?? 0,
+        statusText: res?.statusText || entry.error || '',
+        httpVersion: httpVersion(res?.protocol),
+        cookies: [],
+        headers,
+        content,
+        redirectURL: location,
+        headersSize: -1,
+        bodySize: entry.transferSize ?? -1,
+        ...(entry.error && { _error: entry.error }),
+      },
+      cache: {},
+      timings,
+      ...(entry.serverIPAddress && { serverIPAddress: entry.serverIPAddress.replace(/^\[|\]$/g, '') }),
+    };
+  }
+
+  /** Also apply `redact` to the serialized HAR, after any redactor set before. */
+  addRedactor(redact) {
+    const previous = this._redact;
+    this._redact = previous ? (text) => redact(previous(text)) : redact;
+  }
+
+  /** Build the HAR object. Requests still in flight are included without a response. */
+  toJSON() {
+    const entries = [...this._done, ...this._entries.values()]
+      .sort((a, b) => (a.startedAt ?? 0) - (b.startedAt ?? 0))
+      .map(entry => this._toHar(entry));
+    const pages = this._pages.map(({ _startedAt, ...page }) => page);
+    return { log: { version: '1.2', creator: this._creator, pages, entries } };
+  }
+
+  /** Wait for pending response bodies and write the HAR file. Returns its path. */
+  async save() {
+    await Promise.all([...this._bodies]);
+    mkdirSync(dirname(this.path), { recursive: true });
+    const json = JSON.stringify(this.toJSON(), null, 2);
+    writeFileSync(this.path, this._redact ? this._redact(json) : json);
+    return this.path;
+  }
+}
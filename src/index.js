@@ -1,6 +1,16 @@
 export { Browser, findChrome } from './browser.js';
+export { Locator } from './locator.js';
+export { Route, AD_HOSTS } from './routing.js';
+export { devices } from './devices.js';
 export { browseWeb } from './agent.js';
+export { openaiChat, anthropicChat, geminiChat, createChat } from './adapters.js';
 export { computeDiff, formatActionHistory } from './snapshot-differ.js';
+export { ContextManager, estimateTokens, estimateMessageTokens } from './context.js';
+export { SecretVault } from './secrets.js';
+export { ActionPolicy, SENSITIVE_ACTION } from './policy.js';
+export { ContentGuard, INJECTION_PATTERNS, formatFindings } from './injection.js';
+export { validate } from './schema.js';
+export { extractData, chunkSnapshot, mergeExtracted } from './extract.js';
 export {
   optimizeAll,
   openclawBaseline,
@@ -0,0 +1,144 @@
+/**
+ * Locator — find elements by ARIA role and accessible name
+ *
+ * Resolves lazily against the live accessibility tree (Accessibility.queryAXTree)
+ * every time an action runs, so deterministic scripts don't depend on snapshot
+ * ordering or on which refs happened to be issued.
+ *
+ *   const signIn = browser.locate({ role: 'button', name: /sign in/i });
+ *   await signIn.click();
+ *
+ * Matched elements are registered in the browser's ref registry, so actions go
+ * through the same code paths as clickRef/fillRef/hover/selectOption.
+ */
+
+export class Locator {
+  /**
+   * @param {import('./browser.js').Browser} browser
+   * @param {object} query
+   * @param {string} [query.role] - ARIA role (e.g. "button", "link", "textbox")
+   * @param {string|RegExp} [query.name] - Accessible name. Strings match case-insensitive substrings unless `exact` is set.
+   * @param {boolean} [query.exact=false] - Require the string name to match exactly
+   * @param {number} [query.nth=0] - Which match to act on (negative counts from the end)
+   * @param {Locator|string} [query.within] - Only search inside this locator's element or ref
+   */
+  constructor(browser, query = {}) {
+    this._browser = browser;
+    this._query = query;
+  }
+
+  /** Return a new locator scoped to the nth match of this one. */
+  nth(index) {
+    return new Locator(this._browser, { ...this._query, nth: index });
+  }
+
+  /** Return a locator that searches inside this locator's element. */
+  locate(query) {
+    return new Locator(this._browser, { ...query, within: this });
+  }
+
+  /** Number of elements currently matching (ignores `nth`). */
+  async count() {
+    return (await this._matchAll()).length;
+  }
+
+  async click() {
+    return await this._browser.clickRef(await this._ref());
+  }
+
+  async fill(text) {
+    return await this._browser.fillRef(await this._ref(), text);
+  }
+
+  async hover() {
+    return await this._browser.hover(await this._ref());
+  }
+
+  async select(value) {
+    return await this._browser.selectOption(await this._ref(), value);
+  }
+
+  /** Visible text of the matched element. */
+  async text() {
+    const backendNodeId = await this._resolve();
+    const { object } = await this._browser._cdp.send('DOM.resolveNode', { backendNodeId });
+    const result = await this._browser._cdp.send('Runtime.callFunctionOn', {
+      objectId: object.objectId,
+      functionDeclaration: `function() { return (this.innerText ?? this.textContent ?? '').trim(); }`,
+      returnByValue: true,
+    });
+    return result.result.value || '';
+  }
+
+  /**
+   * Wait until the locator matches (state "attached") or stops matching ("detached").
+   * @param {object} [opts]
+   * @param {'attached'|'detached'} [opts.state='attached']
+   * @param {number} [opts.timeout=5000] - Max wait time in ms
+   */
+  async waitFor({ state = 'attached', timeout = 5000 } = {}) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+      const found = this._pick(await this._matchAll().catch(() => [])) != null;
+      if (found === (state === 'attached')) return this;
+      await new Promise(r => setTimeout(r, 200));
+    }
+    throw new Error(`Timeout waiting for ${this} to be ${state}`);
+  }
+
+  toString() {
+    const { role, name, nth } = this._query;
+    const parts = [];
+    if (role) parts.push(`role=${role}`);
+    if (name != null) parts.push(`name=${name instanceof RegExp ? name : JSON.stringify(name)}`);
+    if (nth) parts.push(`nth=${nth}`);
+    return `locator(${parts.join(', ')})`;
+  }
+
+  // ── Resolution ──
+
+  async _matchAll() {
+    const { role, name, exact = false } = this._query;
+    const cdp = this._browser._cdp;
+
+    const params = { backendNodeId: await this._rootNodeId() };
+    if (role) params.role = role;
+    if (typeof name === 'string' && exact) params.accessibleName = name;
+
+    // A caller's /g or /y regexp keeps lastIndex between test() calls — match with a stateless copy
+    const pattern = name instanceof RegExp ? new RegExp(name.source, name.flags.replace(/[gy]/g, '')) : null;
+
+    const { nodes } = await cdp.send('Accessibility.queryAXTree', params);
+    return nodes.filter(node => {
+      if (node.ignored || !node.backendDOMNodeId) return false;
+      if (name == null || (typeof name === 'string' && exact)) return true;
+      const actual = node.name?.value || '';
+      if (pattern) return pattern.test(actual);
+      return actual.toLowerCase().includes(String(name).toLowerCase());
+    }).map(node => node.backendDOMNodeId);
+  }
+
+  _pick(matches) {
+    const nth = this._query.nth ?? 0;
+    const idx = nth < 0 ? matches.length + nth : nth;
+    return matches[idx] ?? null;
+  }
+
+  async _rootNodeId() {
+    const { within } = this._query;
+    if (within instanceof Locator) return await within._resolve();
+    if (typeof within === 'string') return this._browser._resolveRef(within).backendNodeId;
+    const { root } = await this._browser._cdp.send('DOM.getDocument', { depth: 0 });
+    return root.backendNodeId;
+  }
+
+  async _resolve() {
+    const backendNodeId = this._pick(await this._matchAll());
+    if (backendNodeId == null) throw new Error(`No element matches ${this}`);
+    return backendNodeId;
+  }
+
+  async _ref() {
+    return this._browser._refFor(await this._resolve());
+  }
+}
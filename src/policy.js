@@ -0,0 +1,144 @@
+/**
+ * Action policy — guardrails on what the browseWeb agent may do
+ *
+ *   await browseWeb(url, task, {
+ *     chat,
+ *     policy: {
+ *       allowedDomains: ['example.com'],        // and its subdomains
+ *       blockedDomains: ['admin.example.com'],
+ *       tools: { navigate: false },             // hide and refuse a tool
+ *       approve: async (action, context) => askUser(`${action.type}: ${context.reason}`),
+ *     },
+ *   });
+ *
+ * Navigations — the navigate tool, link clicks, and redirects or script
+ * navigations seen via Page.frameNavigated — are checked against the domain
+ * lists. Sensitive actions (form submits, buttons like "Buy" or "Delete",
+ * leaving the allowlist) go through `approve` first. Denials reach the model
+ * as tool errors.
+ */
+
+export const SENSITIVE_ACTION = /\b(buy|pay|purchase|checkout|order|delete|remove|send|transfer)\b/i;
+
+// Pages that are never "elsewhere": blank tabs and Chrome's own error page
+const NEUTRAL_URL = /^(about:blank|about:srcdoc|chrome-error:)/i;
+
+/** "example.com" (or "*.example.com") matches the domain and its subdomains. */
+function domainMatcher(domain) {
+  const d = domain.toLowerCase().replace(/^\*?\./, '');
+  return (host) => host === d || host.endsWith(`.${d}`);
+}
+
+function hostOf(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? hostname.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+export class ActionPolicy {
+  /**
+   * @param {object} [opts]
+   * @param {string[]} [opts.allowedDomains] - Only these domains (and subdomains) may be visited
+   * @param {string[]} [opts.blockedDomains] - Never visit these, even when approved
+   * @param {Record<string, boolean>} [opts.tools] - Set a tool to false to hide and refuse it ('done' can't be disabled)
+   * @param {function} [opts.approve] - async (action, context) => boolean, asked before sensitive actions.
+   *   Without it sensitive actions run, and leaving the allowlist is denied.
+   * @param {RegExp} [opts.sensitive] - Button / link text that needs approval (default: SENSITIVE_ACTION)
+   */
+  constructor({ allowedDomains, blockedDomains = [], tools = {}, approve, sensitive = SENSITIVE_ACTION } = {}) {
+    this._allowed = allowedDomains ? allowedDomains.map(domainMatcher) : null;
+    this._blocked = blockedDomains.map(domainMatcher);
+    this._tools = tools;
+    this._approve = approve;
+    this._sensitive = sensitive;
+    this._approvedHosts = new Set(); // hosts outside the allowlist the user approved this run
+  }
+
+  /**
+   * Why `url` is off limits, or null when it may be visited.
+   * @returns {{ blocked: boolean, reason: string } | null} - `blocked` = on the blocklist (never allowed)
+   */
+  checkUrl(url) {
+    if (NEUTRAL_URL.test(url)) return null;
+    const host = hostOf(url);
+    if (host && this._blocked.some(match => match(host))) {
+      return { blocked: true, reason: `${host} is a blocked domain` };
+    }
+    if (!this._allowed || (host && (this._approvedHosts.has(host) || this._allowed.some(match => match(host))))) return null;
+    return { blocked: false, reason: `${host || url} is not an allowed domain` };
+  }
+
+  /** Whether the model may use a tool. */
+  toolEnabled(name) {
+    return name === 'done' || this._tools[name] !== false;
+  }
+
+  /** Tool definitions without the disabled ones. */
+  filterTools(tools) {
+    return tools.filter(t => this.toolEnabled(t.function?.name || t.name));
+  }
+
+  /**
+   * Check a tool call before it runs. Throws when the policy (or `approve`) denies it.
+   * @param {Browser} browser
+   * @param {string} name - Tool name
+   * @param {object} args - Tool arguments
+   * @param {{ url: string }} context - The page the agent is on
+   */
+  async check(browser, name, args, context) {
+    if (!this.toolEnabled(name)) throw new Error(`Denied by policy: the ${name} tool is disabled`);
+    const action = { type: name, ...args };
+
+    if (name === 'navigate') {
+      return await this._checkNavigation(args.url, action, context);
+    }
+
+    if (name === 'click') {
+      const element = await browser.describeRef(args.ref).catch(() => null);
+      if (!element) return; // unknown refs fail in the action itself
+      // A link that leaves the allowlist is approved (or denied) once, as a navigation
+      if (element.href && /^https?:/i.test(element.href) && await this._checkNavigation(element.href, action, { ...context, element })) return;
+      if (element.submits) return await this._ask(action, { ...context, element, reason: 'form-submit' }, 'form submit');
+      if (this._sensitive.test(element.text)) {
+        return await this._ask(action, { ...context, element, reason: 'sensitive-action' }, `sensitive action "${element.text}"`);
+      }
+      return;
+    }
+
+    if (name === 'press_key' && args.key === 'Enter') {
+      const inForm = await browser.evaluate('!!document.activeElement?.form').catch(() => false);
+      if (inForm) return await this._ask(action, { ...context, reason: 'form-submit' }, 'form submit');
+    }
+  }
+
+  /**
+   * Decide on a navigation that already happened (a link, redirect or script).
+   * Returns true if it may stay; otherwise the caller undoes it.
+   */
+  async allowsNavigation(url, context) {
+    const violation = this.checkUrl(url);
+    if (!violation) return true;
+    if (violation.blocked || !this._approve) return false;
+    const approved = await this._approve({ type: 'navigate', url }, { ...context, target: url, reason: 'leave-allowlist' });
+    if (approved && hostOf(url)) this._approvedHosts.add(hostOf(url));
+    return !!approved;
+  }
+
+  /** Throws if `url` is off limits and not approved; returns true if approval was asked for. */
+  async _checkNavigation(url, action, context) {
+    const violation = this.checkUrl(url);
+    if (!violation) return false;
+    if (violation.blocked || !this._approve) throw new Error(`Denied by policy: ${violation.reason}`);
+    await this._ask(action, { ...context, target: url, reason: 'leave-allowlist' }, violation.reason);
+    if (hostOf(url)) this._approvedHosts.add(hostOf(url));
+    return true;
+  }
+
+  async _ask(action, context, detail) {
+    if (!this._approve) return;
+    if (!(await this._approve(action, context))) throw new Error(`Denied by policy: ${detail} (not approved)`);
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Request routing — intercept, mock and block requests via the CDP Fetch domain
+ *
+ *   await browser.route('**\/api/user', (route) => route.fulfill({ body: { name: 'Ada' } }));
+ *   await browser.route(/\.(png|jpe?g)$/, (route) => route.abort());
+ *   await browser.route('**\/*', (route, req) => route.continue({ headers: { ...req.headers, 'x-test': '1' } }));
+ *
+ * Patterns are URL globs (`**` any characters, `*` anything but "/", `?` one
+ * character), RegExps, or predicates `(url) => boolean`.
+ */
+
+/** Hosts of common ad, tracking and analytics services (subdomains match too). */
+export const AD_HOSTS = [
+  'doubleclick.net', 'googlesyndication.com', 'googleadservices.com', 'adservice.google.com',
+  'google-analytics.com', 'googletagmanager.com', 'googletagservices.com',
+  'connect.facebook.net', 'analytics.twitter.com', 'ads-twitter.com', 'bat.bing.com', 'clarity.ms',
+  'amazon-adsystem.com', 'adnxs.com', 'criteo.com', 'criteo.net', 'taboola.com', 'outbrain.com',
+  'pubmatic.com', 'rubiconproject.com', 'openx.net', 'moatads.com', 'scorecardresearch.com',
+  'quantserve.com', 'hotjar.com', 'fullstory.com', 'mixpanel.com', 'cdn.segment.com', 'api.segment.io',
+  'amplitude.com', 'nr-data.net', 'js-agent.newrelic.com',
+];
+
+/** Convert a URL glob to a RegExp anchored at both ends. */
+export function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      re += '.*';
+      i++;
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '.';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/** Build a `(url) => boolean` matcher from a glob, RegExp or predicate. */
+export function urlMatcher(pattern) {
+  if (typeof pattern === 'function') return pattern;
+  if (pattern instanceof RegExp) return (url) => pattern.test(url);
+  if (typeof pattern === 'string') {
+    const re = globToRegExp(pattern);
+    return (url) => re.test(url);
+  }
+  throw new Error('Route pattern must be a glob string, RegExp or function');
+}
+
+/** True if the URL's host is (a subdomain of) a known ad/analytics host. */
+export function isAdUrl(url) {
+  let host;
+  try { host = new URL(url).hostname; } catch { return false; }
+  return AD_HOSTS.some(h => host === h || host.endsWith(`.${h}`));
+}
+
+function toHeaderArray(headers) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * A paused request. Exactly one of continue(), fulfill() or abort() resolves
+ * it; a handler that calls none passes the request on to the next matching
+ * route (and finally to the network).
+ */
+export class Route {
+  /** `mainFrameId` is the id of the page's main frame, if the request comes from a page session. */
+  constructor(session, params, mainFrameId = null) {
+    this._session = session;
+    this._requestId = params.requestId;
+    this.handled = false;
+    this.request = {
+      url: params.request.url,
+      method: params.request.method,
+      headers: params.request.headers,
+      postData: params.request.postData,
+      resourceType: (params.resourceType || 'other').toLowerCase(),
+      frameId: params.frameId,
+      isNavigation: params.resourceType === 'Document',
+      isMainFrame: params.resourceType === 'Document' && mainFrameId != null && params.frameId === mainFrameId,
+    };
+  }
+
+  _claim() {
+    if (this.handled) throw new Error(`Route already handled: ${this.request.url}`);
+    this.handled = true;
+  }
+
+  /**
+   * Let the request through, optionally modified.
+   * @param {object} [overrides]
+   * @param {string} [overrides.url]
+   * @param {string} [overrides.method]
+   * @param {Record<string, string>} [overrides.headers] - Replaces all request headers
+   * @param {string} [overrides.postData]
+   */
+  async continue(overrides = {}) {
+    this._claim();
+    const params = { requestId: this._requestId };
+    if (overrides.url) params.url = overrides.url;
+    if (overrides.method) params.method = overrides.method;
+    if (overrides.headers) params.headers = toHeaderArray(overrides.headers);
+    if (overrides.postData != null) params.postData = Buffer.from(overrides.postData).toString('base64');
+    await this._session.send('Fetch.continueRequest', params);
+  }
+
+  /**
+   * Answer the request without touching the network.
+   * @param {object} [response]
+   * @param {number} [response.status=200]
+   * @param {Record<string, string>} [response.headers]
+   * @param {string} [response.contentType] - Shortcut for the Content-Type header
+   * @param {string|Buffer|object} [response.body] - Objects are sent as JSON
+   */
+  async fulfill({ status = 200, headers = {}, contentType, body = '' } = {}) {
+    this._claim();
+    const responseHeaders = { ...headers };
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+      body = JSON.stringify(body);
+      contentType = contentType || 'application/json';
+    }
+    if (contentType) responseHeaders['Content-Type'] = contentType;
+    await this._session.send('Fetch.fulfillRequest', {
+      requestId: this._requestId,
+      responseCode: status,
+      responseHeaders: toHeaderArray(responseHeaders),
+      body: Buffer.from(body).toString('base64'),
+    });
+  }
+
+  /**
+   * Fail the request.
+   * @param {string} [reason='BlockedByClient'] - CDP Network.ErrorReason (Failed, Aborted, TimedOut, AccessDenied, …)
+   */
+  async abort(reason = 'BlockedByClient') {
+    this._claim();
+    await this._session.send('Fetch.failRequest', { requestId: this._requestId, errorReason: reason });
+  }
+}
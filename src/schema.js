@@ -0,0 +1,125 @@
+/**
+ * Lightweight JSON Schema validator — enough to check an agent's structured output
+ *
+ *   const errors = validate({ name: 'Mug', price: '12' }, {
+ *     type: 'object',
+ *     properties: { name: { type: 'string' }, price: { type: 'number' } },
+ *     required: ['name', 'price'],
+ *   });
+ *   // → ['$.price: expected number, got string']
+ *
+ * Supported keywords: type (incl. arrays of types and "integer"), enum, const,
+ * properties, required, additionalProperties, items, minItems, maxItems,
+ * minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum,
+ * exclusiveMaximum, anyOf, oneOf, allOf. Other keywords (format, $ref, …)
+ * are ignored rather than rejected.
+ */
+
+const MAX_ERRORS = 20;
+
+/** JSON type name of a value ("integer" is reported as "number"). */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/** Compile a schema pattern, falling back to non-Unicode mode; null when it isn't a valid RegExp. */
+function compilePattern(pattern) {
+  for (const flags of ['u', '']) {
+    try {
+      return new RegExp(pattern, flags);
+    } catch {}
+  }
+  return null;
+}
+
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function check(value, schema, path, errors) {
+  if (errors.length >= MAX_ERRORS || schema === true || schema == null) return;
+  if (schema === false) {
+    errors.push(`${path}: no value is allowed here`);
+    return;
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.const !== undefined && !sameValue(value, schema.const)) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.some(option => sameValue(value, option))) {
+    errors.push(`${path}: must be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern) {
+      const re = compilePattern(schema.pattern);
+      if (!re) errors.push(`${path}: the schema pattern ${schema.pattern} is not a valid regular expression`);
+      else if (!re.test(value)) errors.push(`${path}: does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: less than ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: greater than ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) errors.push(`${path}: must be greater than ${schema.exclusiveMinimum}`);
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) errors.push(`${path}: must be less than ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+      value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, errors));
+    }
+  } else if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (!Object.hasOwn(value, name)) errors.push(`${path}.${name}: required`);
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (Object.hasOwn(properties, name)) check(item, properties[name], `${path}.${name}`, errors);
+      else if (schema.additionalProperties === false) errors.push(`${path}.${name}: unexpected property`);
+      else if (typeof schema.additionalProperties === 'object') check(item, schema.additionalProperties, `${path}.${name}`, errors);
+    }
+  }
+
+  if (schema.allOf) {
+    for (const sub of schema.allOf) check(value, sub, path, errors);
+  }
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const passing = options.filter(sub => validate(value, sub, path).length === 0).length;
+    if (passing === 0) errors.push(`${path}: does not match any of the allowed schemas`);
+    else if (schema.oneOf && passing > 1) errors.push(`${path}: matches more than one of the allowed schemas`);
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ * @param {*} value
+ * @param {object|boolean} schema
+ * @param {string} [path='$'] - Prefix for error paths
+ * @returns {string[]} Errors as "path: problem" — empty when the value is valid
+ */
+export function validate(value, schema, path = '$') {
+  const errors = [];
+  check(value, schema, path, errors);
+  return errors;
+}
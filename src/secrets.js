@@ -0,0 +1,101 @@
+/**
+ * Secrets vault — let the agent type credentials the model never sees
+ *
+ *   await browseWeb('https://github.com/login', 'Sign in as {{GITHUB_USER}}', {
+ *     chat,
+ *     secrets: {
+ *       GITHUB_USER: 'octocat',
+ *       GITHUB_PASSWORD: { value: process.env.GITHUB_PASSWORD, origins: ['https://github.com'] },
+ *     },
+ *   });
+ *
+ * The model only sees {{NAME}} placeholders. They are swapped for the real
+ * values right before an action reaches the page, and only on the origins a
+ * secret allows. Everything sent back to the model or the caller (snapshots,
+ * diffs, step results, the HAR file) has the values replaced by placeholders.
+ */
+
+import { globToRegExp } from './routing.js';
+
+const NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/** "https://github.com" matches that origin exactly; "https://*.github.com" any subdomain. */
+function originMatcher(pattern) {
+  if (!pattern.includes('*')) {
+    const origin = new URL(pattern).origin;
+    return (o) => o === origin;
+  }
+  const re = globToRegExp(pattern.replace(/\/+$/, ''));
+  return (o) => re.test(o);
+}
+
+/** The forms a value takes in page text, JSON bodies and URL-encoded form posts. */
+function encodings(value) {
+  const encoded = encodeURIComponent(value);
+  return [...new Set([value, JSON.stringify(value).slice(1, -1), encoded, encoded.replace(/%20/g, '+')])];
+}
+
+export class SecretVault {
+  /**
+   * @param {Record<string, string | { value: string, origins?: string[] }>} secrets -
+   *   Name → value, or { value, origins } to allow the secret only on those origins
+   */
+  constructor(secrets = {}) {
+    this._secrets = new Map();
+    for (const [name, spec] of Object.entries(secrets)) {
+      if (!NAME_RE.test(name)) throw new Error(`Invalid secret name: ${name} (use letters, digits and _)`);
+      const { value, origins } = typeof spec === 'string' ? { value: spec } : spec || {};
+      if (typeof value !== 'string' || !value) throw new Error(`Secret ${name} has no value`);
+      this._secrets.set(name, { value, origins: origins || null, allows: origins?.map(originMatcher) });
+    }
+    // Longest first, so a secret containing another is redacted whole
+    this._redactions = [...this._secrets]
+      .flatMap(([name, { value }]) => encodings(value).map(form => [form, `{{${name}}}`]))
+      .sort((a, b) => b[0].length - a[0].length);
+    this.redact = this.redact.bind(this);
+  }
+
+  get size() {
+    return this._secrets.size;
+  }
+
+  /** Whether `text` contains a {{NAME}} placeholder. */
+  hasPlaceholder(text) {
+    return typeof text === 'string' && new RegExp(PLACEHOLDER_RE.source).test(text);
+  }
+
+  /** One line per secret for the model: its placeholder and where it may be used. */
+  describe() {
+    return [...this._secrets].map(([name, { origins }]) =>
+      `{{${name}}}${origins ? ` (only on ${origins.join(', ')})` : ''}`);
+  }
+
+  /**
+   * Replace placeholders in `text` with their values.
+   * Throws for an unknown name or an origin the secret doesn't allow.
+   * @param {string} text
+   * @param {string} origin - Origin of the document the value goes into
+   */
+  substitute(text, origin) {
+    if (typeof text !== 'string') return text;
+    return text.replace(PLACEHOLDER_RE, (match, name) => {
+      const secret = this._secrets.get(name);
+      if (!secret) throw new Error(`Unknown secret {{${name}}}. Available: ${this.describe().join(', ') || 'none'}`);
+      if (secret.allows && !secret.allows.some(allows => allows(origin))) {
+        throw new Error(`Secret {{${name}}} can't be used on ${origin} (allowed: ${secret.origins.join(', ')})`);
+      }
+      return secret.value;
+    });
+  }
+
+  /** Replace every secret value in `text` (raw, JSON-escaped or URL-encoded) with its placeholder. */
+  redact(text) {
+    if (typeof text !== 'string' || this._redactions.length === 0) return text;
+    let out = text;
+    for (const [form, placeholder] of this._redactions) {
+      if (out.includes(form)) out = out.split(form).join(placeholder);
+    }
+    return out;
+  }
+}
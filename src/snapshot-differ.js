@@ -5,15 +5,19 @@
  * General-purpose: works on any website, no site-specific logic.
  *
  * Diff format:
- *   + element "name" [ref=eXX]       — new element (appeared)
- *   - element "name" [ref=eXX]       — removed element (gone)
- *   ~ element "name": "old" → "new"  — changed element
+ *   + element "name" [ref=eXX]                    — new element (appeared)
+ *   - element "name" [ref=eXX]                    — removed element (gone)
+ *   ~ element [ref=eXX]: "old" → "new"            — renamed element
+ *   ~ element "name" [ref=eXX]: [a] → [b]         — state change (checked, expanded, value, …)
  *   = N unchanged elements (not shown)
  */
 
 // ── Element Parsing ─────────────────────────────────────────────────────
 
-const ELEMENT_RE = /^(\s*)-\s*(button|link|textbox|checkbox|radio|combobox|listbox|menuitem|menuitemcheckbox|menuitemradio|option|searchbox|slider|spinbutton|switch|tab|treeitem|heading|cell|gridcell|columnheader|rowheader|listitem|article|region|main|navigation|dialog|document|group|list|table|row|generic|text|strong|emphasis|mark)\s*("(?:[^"\\]|\\.)*")?\s*(?:\[ref=(e\d+)\])?/;
+const ELEMENT_RE = /^(\s*)-\s*(button|link|textbox|checkbox|radio|combobox|listbox|menuitem|menuitemcheckbox|menuitemradio|option|searchbox|slider|spinbutton|switch|tab|treeitem|heading|cell|gridcell|columnheader|rowheader|listitem|article|region|main|navigation|dialog|document|group|list|table|row|generic|text|strong|emphasis|mark)\s*("(?:[^"\\]|\\.)*")?(.*)$/;
+const REF_RE = /\[ref=(e\d+)\]/;
+// State suffixes like [checked], [expanded=false], [level=2], [value="..."]
+const STATE_RE = /\[(?!ref=)([a-z]+(?:=(?:"(?:[^"\\]|\\.)*"|[^\]]*))?)\]/g;
 
 /**
  * Parse a snapshot string into a flat list of elements
@@ -26,11 +30,13 @@ function parseElements(snapshot) {
   for (const line of lines) {
     const m = line.match(ELEMENT_RE);
     if (!m) continue;
-    const [, indent, role, nameQuoted, ref] = m;
+    const [, indent, role, nameQuoted, rest] = m;
     const name = nameQuoted ? nameQuoted.slice(1, -1) : '';
+    const ref = rest.match(REF_RE)?.[1] || null;
+    const states = [...rest.matchAll(STATE_RE)].map(s => `[${s[1]}]`).join(' ');
     // Also capture the full trimmed line for display
     const display = line.trimStart().replace(/^-\s*/, '');
-    elements.push({ role, name, ref: ref || null, display, indent: indent.length });
+    elements.push({ role, name, ref, states, display, indent: indent.length });
   }
   return elements;
 }
@@ -65,22 +71,20 @@ export function computeDiff(prevSnapshot, currSnapshot, prevUrl, currUrl) {
   const curr = parseElements(currSnapshot);
 
   // Build lookup maps
-  // Primary key: ref (exact match)
-  // Secondary key: role+name (fuzzy match for elements without refs)
+  // Refs are stable across snapshots (bound to the DOM node), so a ref is
+  // authoritative: same ref = same element, missing ref = element gone.
+  // Role+name matching is only a fallback for elements without refs.
   const prevByRef = new Map();
   const prevByRoleName = new Map();
-  const currByRef = new Map();
-  const currByRoleName = new Map();
 
   for (const el of prev) {
-    if (el.ref) prevByRef.set(el.ref, el);
-    const key = `${el.role}::${el.name}`;
-    if (!prevByRoleName.has(key)) prevByRoleName.set(key, el);
-  }
-  for (const el of curr) {
-    if (el.ref) currByRef.set(el.ref, el);
+    if (el.ref) {
+      prevByRef.set(el.ref, el);
+      continue;
+    }
     const key = `${el.role}::${el.name}`;
-    if (!currByRoleName.has(key)) currByRoleName.set(key, el);
+    if (!prevByRoleName.has(key)) prevByRoleName.set(key, []);
+    prevByRoleName.get(key).push(el);
   }
 
   const added = [];    // in curr but not prev
@@ -88,31 +92,24 @@ export function computeDiff(prevSnapshot, currSnapshot, prevUrl, currUrl) {
   const changed = [];  // in both but different
   let unchanged = 0;
 
-  const matchedPrevKeys = new Set(); // track which prev elements got matched
+  const matchedPrev = new Set(); // prev elements that found a counterpart
 
   // Match current elements against previous
   for (const el of curr) {
     let prevEl = null;
-    let matchKey = null;
 
-    // Try ref match first
-    if (el.ref && prevByRef.has(el.ref)) {
-      prevEl = prevByRef.get(el.ref);
-      matchKey = `ref:${el.ref}`;
-    }
-    // Fallback: role+name match
-    if (!prevEl) {
-      const key = `${el.role}::${el.name}`;
-      if (prevByRoleName.has(key)) {
-        prevEl = prevByRoleName.get(key);
-        matchKey = `rn:${key}`;
-      }
+    if (el.ref) {
+      prevEl = prevByRef.get(el.ref) || null;
+    } else {
+      // Ref-less elements: match the next unclaimed prev element with the same role+name
+      const candidates = prevByRoleName.get(`${el.role}::${el.name}`);
+      prevEl = candidates?.find(c => !matchedPrev.has(c)) || null;
     }
 
     if (prevEl) {
-      matchedPrevKeys.add(matchKey);
-      // Check if content changed (different name for same ref, or different display)
-      if (el.ref && prevEl.ref === el.ref && el.name !== prevEl.name) {
+      matchedPrev.add(prevEl);
+      // Same ref, different role, name or state — the element itself changed
+      if (el.ref && (el.name !== prevEl.name || el.role !== prevEl.role || el.states !== prevEl.states)) {
         changed.push({ curr: el, prev: prevEl });
       } else {
         unchanged++;
@@ -124,13 +121,7 @@ export function computeDiff(prevSnapshot, currSnapshot, prevUrl, currUrl) {
 
   // Find removed elements (in prev, not matched)
   for (const el of prev) {
-    let matched = false;
-    if (el.ref && matchedPrevKeys.has(`ref:${el.ref}`)) matched = true;
-    if (!matched) {
-      const key = `${el.role}::${el.name}`;
-      if (matchedPrevKeys.has(`rn:${key}`)) matched = true;
-    }
-    if (!matched) removed.push(el);
+    if (!matchedPrev.has(el)) removed.push(el);
   }
 
   // Build diff string
@@ -160,7 +151,8 @@ export function computeDiff(prevSnapshot, currSnapshot, prevUrl, currUrl) {
   for (const el of filteredAdded) {
     const refStr = el.ref ? ` [ref=${el.ref}]` : '';
     const nameStr = el.name ? ` "${el.name}"` : '';
-    lines.push(`+ ${el.role}${nameStr}${refStr}`);
+    const stateStr = el.states ? ` ${el.states}` : '';
+    lines.push(`+ ${el.role}${nameStr}${stateStr}${refStr}`);
   }
 
   // Removals
@@ -173,7 +165,15 @@ export function computeDiff(prevSnapshot, currSnapshot, prevUrl, currUrl) {
   // Changes
   for (const { curr: el, prev: prevEl } of changed) {
     const refStr = el.ref ? ` [ref=${el.ref}]` : '';
-    lines.push(`~ ${el.role}${refStr}: "${prevEl.name}" → "${el.name}"`);
+    const stateChanged = el.states !== prevEl.states;
+    if (el.name !== prevEl.name) {
+      const from = stateChanged ? `"${prevEl.name}" ${prevEl.states || '(no state)'}` : `"${prevEl.name}"`;
+      const to = stateChanged ? `"${el.name}" ${el.states || '(no state)'}` : `"${el.name}"`;
+      lines.push(`~ ${el.role}${refStr}: ${from} → ${to}`);
+    } else {
+      const nameStr = el.name ? ` "${el.name}"` : '';
+      lines.push(`~ ${el.role}${nameStr}${refStr}: ${prevEl.states || '(no state)'} → ${el.states || '(no state)'}`);
+    }
   }
 
   // Summary
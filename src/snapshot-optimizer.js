@@ -131,7 +131,7 @@ export function stripChrome(snapshot) {
         // Collect any refs from this chrome subtree line
         const p = parseLine(line);
         if (p && p.ref && INTERACTIVE_ROLES.has(p.role)) {
-          chromeRefs.push({ ref: p.ref, role: p.role, name: p.name });
+          chromeRefs.push({ ref: p.ref, role: p.role, name: p.name, suffix: p.suffix });
         }
         continue;
       }
@@ -142,7 +142,7 @@ export function stripChrome(snapshot) {
     if (p && isChromeLine(p, lines, i)) {
       // Before skipping, collect refs from the chrome root itself
       if (p.ref && INTERACTIVE_ROLES.has(p.role)) {
-        chromeRefs.push({ ref: p.ref, role: p.role, name: p.name });
+        chromeRefs.push({ ref: p.ref, role: p.role, name: p.name, suffix: p.suffix });
       }
       skipUntilIndent = indent;
       continue;
@@ -155,8 +155,8 @@ export function stripChrome(snapshot) {
   if (chromeRefs.length > 0) {
     result.push('- group "chrome-actions"');
     for (const r of chromeRefs) {
-      const name = r.name ? ` "${r.name}"` : '';
-      result.push(`  - ${r.role}${name} [ref=${r.ref}]`);
+      // Suffix carries the element's state attributes along with its ref
+      result.push(buildLine('  - ', r.role, r.name, r.suffix));
     }
   }
 
@@ -214,7 +214,11 @@ export function dedupLinks(snapshot) {
   return result.join('\n');
 }
 
-// ── 2b. Attribute pruning (protects [ref=...] from removal) ─────────────
+// ── 2b. Attribute pruning (protects [ref=...] and element state) ────────
+//
+// State suffixes ([checked], [expanded=false], [disabled], [required],
+// [level=N], [value="..."]) are kept: the agent needs them to know whether a
+// toggle took effect. Only no-information attributes are dropped.
 
 export function pruneAttributes(snapshot) {
   const lines = snapshot.split('\n');
@@ -243,7 +247,6 @@ export function pruneAttributes(snapshot) {
     cleaned = cleaned.replace(/\s*\[description=""\]/g, '');
     cleaned = cleaned.replace(/\s*\[focused\]/g, '');
     cleaned = cleaned.replace(/\s*\[disabled=false\]/g, '');
-    cleaned = cleaned.replace(/\s*\[level=\d+\]/g, '');
 
     // Restore refs
     cleaned = cleaned.replace(/__REF_(\d+)__/g, (_, idx) => refs[Number(idx)]);
@@ -547,16 +550,19 @@ export function removeNoise(snapshot) {
 
 // ── Composition ─────────────────────────────────────────────────────────
 
+// `full` keeps all page content: no chrome stripping, link dedup, name or list truncation
 export function optimizeAll(snapshot, options = {}) {
   let result = snapshot;
-  result = stripChrome(result);
+  if (!options.full) result = stripChrome(result);
   result = pruneAttributes(result);
   result = removeNoise(result);
-  result = dedupLinks(result);
+  if (!options.full) result = dedupLinks(result);
   result = collapseRedundantChildren(result);
   result = semanticCompress(result);
-  result = truncateLongNames(result, { maxNameLength: options.maxNameLength ?? 120 });
-  result = smartTruncate(result, { maxItems: options.maxItems ?? 5 });
+  if (!options.full) {
+    result = truncateLongNames(result, { maxNameLength: options.maxNameLength ?? 120 });
+    result = smartTruncate(result, { maxItems: options.maxItems ?? 5 });
+  }
   if (options.visibleRefs) {
     result = viewportOnly(result, options.visibleRefs);
   }
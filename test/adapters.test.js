@@ -0,0 +1,180 @@
+// Chat adapters against a local mock HTTP server: retries, backoff and message conversion
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { openaiChat, anthropicChat, geminiChat } from '../src/adapters.js';
+import { BROWSER_TOOLS } from '../src/agent.js';
+
+const OPENAI_REPLY = {
+  choices: [{ message: { content: 'hi', tool_calls: [] } }],
+  usage: { prompt_tokens: 3, completion_tokens: 1 },
+};
+const ANTHROPIC_REPLY = {
+  content: [{ type: 'text', text: 'hi' }],
+  usage: { input_tokens: 3, output_tokens: 1 },
+};
+
+let server;
+let baseURL;
+let replies = []; // { status, body, headers } served in order
+let requests = []; // { url, body, at }
+
+before(async () => {
+  server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, body: JSON.parse(raw || '{}'), at: Date.now() });
+      const { status = 200, body = {}, headers = {} } = replies.shift() || {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/** Serve these replies to the next requests and forget earlier traffic. */
+function serve(...list) {
+  replies = list;
+  requests = [];
+}
+
+test('429 is retried after Retry-After, then the reply is returned', async () => {
+  serve({ status: 429, headers: { 'Retry-After': '1' }, body: { error: 'slow down' } }, { body: OPENAI_REPLY });
+  const chat = openaiChat({ baseURL });
+
+  const response = await chat([{ role: 'user', content: 'hello' }]);
+
+  assert.equal(response.content, 'hi');
+  assert.deepEqual(response.usage, { inputTokens: 3, outputTokens: 1 });
+  assert.equal(requests.length, 2);
+  assert.ok(requests[1].at - requests[0].at >= 900, 'waited for Retry-After');
+});
+
+test('5xx is retried up to maxRetries, then the last error is thrown', async () => {
+  serve({ status: 500, body: { error: 'boom' } }, { status: 503, body: { error: 'down' } }, { body: OPENAI_REPLY });
+  const chat = openaiChat({ baseURL, maxRetries: 1 });
+
+  await assert.rejects(chat([{ role: 'user', content: 'hello' }]), /OpenAI API error 503/);
+  assert.equal(requests.length, 2);
+});
+
+test('other 4xx errors are not retried', async () => {
+  serve({ status: 400, body: { error: 'bad request' } }, { body: OPENAI_REPLY });
+  const chat = openaiChat({ baseURL });
+
+  await assert.rejects(chat([{ role: 'user', content: 'hello' }]), /OpenAI API error 400/);
+  assert.equal(requests.length, 1);
+});
+
+test('aborting cancels a pending retry', async () => {
+  serve({ status: 429, headers: { 'Retry-After': '30' }, body: {} }, { body: OPENAI_REPLY });
+  const chat = openaiChat({ baseURL });
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 100);
+
+  await assert.rejects(chat([{ role: 'user', content: 'hello' }], { signal: controller.signal }));
+  assert.equal(requests.length, 1);
+});
+
+test('anthropic: tool calls and results are converted, empty assistant turns dropped', async () => {
+  serve({ body: ANTHROPIC_REPLY });
+  const chat = anthropicChat({ baseURL });
+
+  await chat([
+    { role: 'system', content: 'You are a browser agent.' },
+    { role: 'user', content: 'Open the page' },
+    { role: 'assistant', content: '' },
+    { role: 'user', content: 'Go on' },
+    {
+      role: 'assistant',
+      content: '',
+      tool_calls: [
+        { id: 'a', type: 'function', function: { name: 'click', arguments: '{"ref":"e1"}' } },
+        { id: 'b', type: 'function', function: { name: 'click', arguments: '{"ref":"e2"}' } },
+      ],
+    },
+    { role: 'tool', tool_call_id: 'a', content: 'Clicked e1' },
+    { role: 'tool', tool_call_id: 'b', content: 'Clicked e2' },
+  ], { tools: [{ type: 'function', function: { name: 'click', description: 'Click', parameters: { type: 'object', properties: {} } } }] });
+
+  const { body } = requests[0];
+  assert.equal(body.system, 'You are a browser agent.');
+  assert.deepEqual(body.messages.map(m => m.role), ['user', 'assistant', 'user']);
+  assert.ok(body.messages.every(m => m.content.length > 0));
+  assert.deepEqual(body.messages[0].content.map(b => b.text), ['Open the page', 'Go on']);
+  assert.deepEqual(body.messages[1].content, [
+    { type: 'tool_use', id: 'a', name: 'click', input: { ref: 'e1' } },
+    { type: 'tool_use', id: 'b', name: 'click', input: { ref: 'e2' } },
+  ]);
+  assert.deepEqual(body.messages[2].content.map(b => b.tool_use_id), ['a', 'b']);
+  assert.equal(body.tools[0].input_schema.type, 'object');
+});
+
+test('gemini: tool schemas are rewritten into the subset Gemini accepts', async () => {
+  serve({ body: { candidates: [{ content: { parts: [{ text: 'hi' }] } }] } });
+  const chat = geminiChat({ baseURL });
+
+  await chat([{ role: 'user', content: 'hello' }], {
+    tools: [{
+      type: 'function',
+      function: {
+        name: 'done',
+        description: 'Finish',
+        parameters: {
+          $schema: 'https://json-schema.org/draft/2020-12/schema',
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            status: { const: 'ok' },
+            note: { type: ['string', 'null'], pattern: '^\\w+$' },
+            item: { oneOf: [{ type: 'string' }, { type: 'number' }] },
+          },
+          required: ['status'],
+        },
+      },
+    }],
+  });
+
+  assert.deepEqual(requests[0].body.tools[0].functionDeclarations[0].parameters, {
+    type: 'object',
+    properties: {
+      status: { enum: ['ok'] },
+      note: { nullable: true, type: 'string' },
+      item: { anyOf: [{ type: 'string' }, { type: 'number' }] },
+    },
+    required: ['status'],
+  });
+});
+
+/** Every object schema under `schema`, with its path. */
+function objectSchemas(schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const found = schema.type === 'object' ? [[path, schema]] : [];
+  for (const [name, sub] of Object.entries(schema.properties || {})) found.push(...objectSchemas(sub, `${path}.${name}`));
+  if (schema.items) found.push(...objectSchemas(schema.items, `${path}[]`));
+  for (const sub of schema.anyOf || []) found.push(...objectSchemas(sub, path));
+  return found;
+}
+
+test('gemini: BROWSER_TOOLS are declared without object schemas that lack properties', async () => {
+  serve({ body: { candidates: [{ content: { parts: [{ text: 'hi' }] } }] } });
+  const chat = geminiChat({ baseURL });
+
+  await chat([{ role: 'user', content: 'hello' }], { tools: BROWSER_TOOLS });
+
+  const declarations = requests[0].body.tools[0].functionDeclarations;
+  assert.equal(declarations.length, BROWSER_TOOLS.length);
+  for (const { name, parameters } of declarations) {
+    for (const [path, schema] of objectSchemas(parameters)) {
+      assert.ok(Object.keys(schema.properties || {}).length > 0, `${name} ${path} has no properties`);
+      for (const required of schema.required || []) assert.ok(required in schema.properties, `${name} ${path} requires ${required}`);
+    }
+  }
+  const extract = declarations.find(d => d.name === 'extract');
+  assert.deepEqual(Object.keys(extract.parameters.properties), ['instruction']);
+});
@@ -0,0 +1,76 @@
+// Chunked extraction: overlap between chunks, de-duplication and stopping between chunks
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkSnapshot, extractData, mergeExtracted } from '../src/extract.js';
+
+const SNAPSHOT = Array.from({ length: 12 }, (_, i) => `- listitem:\n  - link "Item ${i}" [ref=e${i}]`).join('\n');
+const SCHEMA = {
+  type: 'object',
+  properties: { items: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' } } } } },
+};
+
+/** A chat that "reads" every item name in the chunk it is sent. */
+function readingChat() {
+  const calls = [];
+  const chat = async (messages) => {
+    calls.push(messages);
+    const chunk = messages[1].content;
+    const items = [...chunk.matchAll(/"(Item \d+)" \[ref=(e\d+)\]/g)].map(([, name, ref]) => ({ name, _refs: [ref] }));
+    return { toolCalls: [{ id: `c${calls.length}`, name: 'save_data', arguments: { data: { items } } }], usage: { inputTokens: 100, outputTokens: 10 } };
+  };
+  chat.calls = calls;
+  return chat;
+}
+
+test('chunkSnapshot: every chunk after the first repeats the tail of the previous one', () => {
+  const chunks = chunkSnapshot(SNAPSHOT, 60, 20);
+  assert.ok(chunks.length > 2);
+  for (let i = 1; i < chunks.length; i++) {
+    const previous = chunks[i - 1].split('\n');
+    const carried = chunks[i].split('\n').indexOf(previous.at(-1)) + 1;
+    assert.ok(carried > 0, `chunk ${i} repeats the end of chunk ${i - 1}`);
+    assert.deepEqual(chunks[i].split('\n').slice(0, carried), previous.slice(-carried));
+  }
+  assert.deepEqual(chunkSnapshot(SNAPSHOT, 60).join('\n'), SNAPSHOT);
+});
+
+test('extractData: records seen in two overlapping chunks are merged once', async () => {
+  const chat = readingChat();
+
+  const data = await extractData(SNAPSHOT, SCHEMA, { chat, maxChunkTokens: 60, overlapTokens: 20 });
+
+  assert.ok(chat.calls.length > 2);
+  assert.deepEqual(data.items.map(item => item.name), Array.from({ length: 12 }, (_, i) => `Item ${i}`));
+});
+
+test('extractData: an aborted signal stops before the next chunk', async () => {
+  const chat = readingChat();
+  const controller = new AbortController();
+
+  await assert.rejects(extractData(SNAPSHOT, SCHEMA, {
+    chat,
+    maxChunkTokens: 60,
+    signal: controller.signal,
+    onUsage: () => controller.abort(),
+  }), { name: 'AbortError' });
+  assert.equal(chat.calls.length, 1);
+});
+
+test('mergeExtracted: identical rows with different refs are all kept', () => {
+  const rows = [{ qty: 1, price: 5, _refs: ['e1'] }, { qty: 1, price: 5, _refs: ['e7'] }];
+
+  assert.deepEqual(mergeExtracted(undefined, { rows }), { rows });
+  assert.equal(mergeExtracted({ rows }, { rows: [{ qty: 1, price: 5, _refs: ['e9'] }] }, new Set(['e7'])).rows.length, 3);
+});
+
+test('mergeExtracted: a record read from the overlap by both chunks is merged once', () => {
+  const first = { rows: [{ name: 'Mug', _refs: ['e1'] }, { name: 'Cup', _refs: ['e7'] }] };
+  const second = { rows: [{ name: 'Cup', price: 4, _refs: ['e7', 'e8'] }, { name: 'Cup', _refs: ['e9'] }] };
+
+  assert.deepEqual(mergeExtracted(first, second, new Set(['e7'])).rows, [
+    { name: 'Mug', _refs: ['e1'] },
+    { name: 'Cup', price: 4, _refs: ['e7', 'e8'] },
+    { name: 'Cup', _refs: ['e9'] },
+  ]);
+});
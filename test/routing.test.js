@@ -0,0 +1,19 @@
+// Paused requests as routes see them
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Route } from '../src/routing.js';
+
+const paused = (resourceType, frameId) => ({
+  requestId: 'r1',
+  resourceType,
+  frameId,
+  request: { url: 'https://example.test/', method: 'GET', headers: {} },
+});
+
+test('isMainFrame is set only for documents loading into the page\'s own frame', () => {
+  assert.equal(new Route(null, paused('Document', 'T1'), 'T1').request.isMainFrame, true);
+  assert.equal(new Route(null, paused('Document', 'F2'), 'T1').request.isMainFrame, false);
+  assert.equal(new Route(null, paused('Document', 'F2')).request.isMainFrame, false);
+  assert.equal(new Route(null, paused('Script', 'T1'), 'T1').request.isMainFrame, false);
+});
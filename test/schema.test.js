@@ -0,0 +1,19 @@
+// The output-schema validator: patterns and own-property checks
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate } from '../src/schema.js';
+
+test('pattern: legacy-only syntax still works, an invalid pattern is an error instead of a throw', () => {
+  assert.deepEqual(validate('a-b', { type: 'string', pattern: '^[\\w-]+$' }), []);
+  assert.deepEqual(validate('a]b', { type: 'string', pattern: '^a\\]b$' }), []);
+  assert.deepEqual(validate('abc', { type: 'string', pattern: '(' }), ['$: the schema pattern ( is not a valid regular expression']);
+});
+
+test('required and properties only count own properties', () => {
+  assert.deepEqual(validate({}, { type: 'object', required: ['toString'] }), ['$.toString: required']);
+  assert.deepEqual(
+    validate({ constructor: 1 }, { type: 'object', properties: { name: { type: 'string' } }, additionalProperties: false }),
+    ['$.constructor: unexpected property'],
+  );
+});
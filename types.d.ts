@@ -9,49 +9,250 @@ export interface BrowserOptions {
   useProfile?: boolean;
   /** CDP debugging port (random by default) */
   port?: number;
+  /** Default settle strategy for navigate() and actions (default: 'auto') */
+  waitUntil?: WaitUntil;
+  /** Resource types to block ('image', 'font', 'media', 'stylesheet', …) plus 'ads' for known ad/analytics hosts */
+  blockResources?: string[];
+  /** Record network traffic to a HAR 1.2 file, written on close() */
+  recordHar?: RecordHarOptions;
+  /** What to do with alert/confirm/prompt/beforeunload dialogs (default: 'dismiss') */
+  dialogs?: DialogPolicy;
+  /** Where downloads are saved (default: a fresh temp directory) */
+  downloadsDir?: string;
+  /** Cookies and storage to restore at launch — a storageState() object or its JSON file path */
+  storageState?: StorageState | string;
+  /** Device name (see `devices`) or emulation settings */
+  emulate?: string | EmulationSettings;
+}
+
+export interface ConnectOptions extends BrowserOptions {
+  /** HTTP debugging endpoint, e.g. "http://localhost:9222" */
+  browserURL?: string;
+  /** Browser WebSocket URL, e.g. "ws://localhost:9222/devtools/browser/<id>" */
+  wsEndpoint?: string;
+  /** Open a fresh tab (closed again on close()) instead of reusing the first one (default: false) */
+  newPage?: boolean;
+  /** Use this existing tab (a target id from /json/list) instead of the first one */
+  targetId?: string;
+}
+
+export interface DeviceDescriptor {
+  /** CSS pixels */
+  viewport: { width: number; height: number };
+  deviceScaleFactor: number;
+  isMobile: boolean;
+  hasTouch: boolean;
+  userAgent: string;
+}
+
+export interface EmulationSettings extends Partial<DeviceDescriptor> {
+  /** Preset to start from; other fields override it */
+  device?: string;
+  /** e.g. "de-DE" */
+  locale?: string;
+  /** IANA timezone, e.g. "Europe/Berlin" */
+  timezoneId?: string;
+  /** Also grants the geolocation permission */
+  geolocation?: { latitude: number; longitude: number; accuracy?: number };
+}
+
+/** Built-in device presets ("iPhone 15", "Pixel 7", "iPad Pro 11", …) */
+export declare const devices: Record<string, DeviceDescriptor>;
+
+export interface StorageState {
+  /** Cookies as returned by CDP Network.getAllCookies */
+  cookies: Array<{
+    name: string;
+    value: string;
+    domain: string;
+    path: string;
+    expires: number;
+    httpOnly: boolean;
+    secure: boolean;
+    session: boolean;
+    sameSite?: 'Strict' | 'Lax' | 'None';
+    [key: string]: any;
+  }>;
+  origins: Array<{
+    origin: string;
+    localStorage: Array<{ name: string; value: string }>;
+    sessionStorage: Array<{ name: string; value: string }>;
+  }>;
+}
+
+export interface ConsoleEntry {
+  /** 'console', 'exception', or the browser log source ('network', 'security', 'javascript', …) */
+  source: string;
+  /** Console API type ('log', 'error', 'table', …) or log level */
+  type: string;
+  level: 'error' | 'warning' | 'info' | 'debug';
+  text: string;
+  url?: string;
+  lineNumber?: number;
+  /** ms since epoch */
+  timestamp: number;
+  pageId: string;
+}
+
+export interface DownloadInfo {
+  /** Chrome's download GUID */
+  id: string;
+  url: string;
+  suggestedFilename: string;
+  state: 'inProgress' | 'completed' | 'canceled';
+  receivedBytes: number;
+  totalBytes: number;
+  /** Saved path once completed */
+  path: string | null;
+  /** Date.now() when the download started */
+  startedAt: number;
+}
+
+/**
+ * 'dismiss' still accepts beforeunload so navigations go through. A callback
+ * returns true to accept, a string to accept with prompt text, false to
+ * dismiss, or undefined to leave the dialog open.
+ */
+export type DialogPolicy = 'accept' | 'dismiss' | 'manual' | ((dialog: Dialog) => boolean | string | void | Promise<boolean | string | void>);
+
+export interface DialogInfo {
+  /** Page the dialog belongs to, e.g. "t1" */
+  pageId: string;
+  type: 'alert' | 'confirm' | 'prompt' | 'beforeunload';
+  message: string;
+  defaultPrompt: string;
+  url: string;
+}
+
+export interface Dialog extends DialogInfo {
+  /** 'accepted' / 'dismissed' once answered */
+  handled: 'accepted' | 'dismissed' | null;
+  accept(promptText?: string): Promise<void>;
+  dismiss(): Promise<void>;
+}
+
+export interface RecordHarOptions {
+  /** HAR output path */
+  path: string;
+  /** Embed response bodies, up to 1MB each (default: false) */
+  content?: boolean;
+  /** Applied to the serialized HAR before it is written (e.g. to strip secrets) */
+  redact?: (text: string) => string;
+}
+
+/**
+ * How navigation and actions wait for the page to settle.
+ * 'auto' waits for load (if navigating), near network idle and a quiet DOM.
+ */
+export type WaitUntil = 'auto' | 'load' | 'domcontentloaded' | 'networkidle' | 'stable' | 'none';
+
+export interface WaitOptions {
+  waitUntil?: WaitUntil;
+  /** Max settle time in ms — settling is best-effort and never throws */
+  timeout?: number;
+}
+
+/** The node a ref points at: backendNodeIds are per renderer, so the CDP session that owns it comes along */
+export interface RefHandle {
+  backendNodeId: number;
+  session: { id: string; send(method: string, params?: Record<string, any>): Promise<any> };
 }
 
 export declare class Browser extends EventEmitter {
   constructor(opts?: BrowserOptions);
 
+  /** Attach to an already-running Chrome; close() detaches without killing it */
+  static connect(opts: ConnectOptions): Promise<Browser>;
+
   /** Launch Chrome and connect via CDP */
   launch(): Promise<this>;
 
-  /** Get optimized ARIA snapshot of the current page */
-  getSnapshot(): Promise<string>;
+  /** Get optimized ARIA snapshot of the current page (full: keep all content, no list or name truncation) */
+  getSnapshot(opts?: { full?: boolean }): Promise<string>;
 
   /** Get raw ARIA snapshot without optimization */
-  getRawSnapshot(): Promise<{ snapshot: string; refMap: Map<string, number> }>;
+  getRawSnapshot(): Promise<{ snapshot: string; refMap: Map<string, RefHandle> }>;
 
   /** Navigate to a URL */
-  navigate(url: string): Promise<string>;
+  navigate(url: string, opts?: WaitOptions): Promise<string>;
 
   /** Click an element by ref ID (e.g. "e5") */
-  clickRef(ref: string): Promise<string>;
+  clickRef(ref: string, opts?: WaitOptions): Promise<string>;
 
   /** Fill a textbox by ref ID */
-  fillRef(ref: string, text: string): Promise<string>;
+  fillRef(ref: string, text: string, opts?: WaitOptions & { sensitive?: boolean }): Promise<string>;
+
+  /** Origin of the document containing the element (the iframe's origin inside frames) */
+  refOrigin(ref: string): Promise<string>;
+
+  /** Tag, type, visible text, enclosing link and whether clicking the element submits a form */
+  describeRef(ref: string): Promise<{ tag: string; type: string | null; text: string; href: string | null; submits: boolean }>;
 
   /** Hover over an element by ref ID */
-  hover(ref: string): Promise<string>;
+  hover(ref: string, opts?: WaitOptions): Promise<string>;
 
   /** Select an option from a dropdown by ref ID */
-  selectOption(ref: string, value: string): Promise<string>;
+  selectOption(ref: string, value: string, opts?: WaitOptions): Promise<string>;
+
+  /** Wait until no more than `maxInflight` requests are in flight for `idleTime` ms */
+  waitForNetworkIdle(opts?: { idleTime?: number; maxInflight?: number; timeout?: number }): Promise<boolean>;
+
+  /** Wait until the DOM has had no mutations for `quietTime` ms */
+  waitForStable(opts?: { quietTime?: number; timeout?: number }): Promise<boolean>;
 
   /** Wait for a CSS selector to appear */
   waitForSelector(selector: string, timeout?: number): Promise<boolean>;
 
+  /** Intercept requests matching a URL glob, RegExp or predicate */
+  route(pattern: RoutePattern, handler: (route: Route, request: RouteRequest) => any): Promise<void>;
+
+  /** Remove routes for a pattern (optionally only one handler) */
+  unroute(pattern: RoutePattern, handler?: (route: Route, request: RouteRequest) => any): Promise<void>;
+
+  /** Attach local files to a file input, or to an element that opens a file chooser */
+  uploadFile(ref: string, paths: string | string[], opts?: WaitOptions): Promise<string>;
+
+  /** Emulate a device, viewport, locale, timezone or geolocation on all pages (merges with earlier settings) */
+  emulate(settings: string | EmulationSettings): Promise<EmulationSettings>;
+
+  /** Size of the active page's layout viewport in CSS pixels */
+  viewportSize(): Promise<{ width: number; height: number }>;
+
+  /** Console messages, uncaught exceptions and browser log entries, oldest first */
+  getConsoleLogs(opts?: { since?: number | Date; level?: ConsoleEntry['level'] | ConsoleEntry['level'][]; pageId?: string }): ConsoleEntry[];
+
+  /** Export cookies plus localStorage/sessionStorage of every open origin */
+  storageState(opts?: { path?: string }): Promise<StorageState>;
+
+  /** Restore state from storageState() (object or JSON file path) */
+  setStorageState(state: StorageState | string): Promise<void>;
+
+  /** Downloads seen so far, oldest first */
+  downloads(): DownloadInfo[];
+
+  /** Wait for the in-progress (or next) download to finish; resolves to its saved path */
+  waitForDownload(opts?: { timeout?: number; since?: number }): Promise<string>;
+
+  /** The dialog open on the active page, or null */
+  getDialog(): DialogInfo | null;
+
+  /** Answer the dialog open on the active page, then wait for the page to settle */
+  handleDialog(opts?: { accept?: boolean; promptText?: string } & WaitOptions): Promise<string>;
+
+  /** Locate elements by ARIA role and accessible name */
+  locate(query?: LocatorQuery): Locator;
+
   /** Click at pixel coordinates */
-  click(x: number, y: number): Promise<string>;
+  click(x: number, y: number, opts?: WaitOptions): Promise<string>;
 
   /** Type text character by character */
-  type(text: string): Promise<string>;
+  type(text: string, opts?: WaitOptions): Promise<string>;
 
   /** Press a special key */
-  pressKey(key: string): Promise<string>;
+  pressKey(key: string, opts?: WaitOptions): Promise<string>;
 
   /** Scroll the page */
-  scroll(x: number, y: number, deltaX?: number, deltaY?: number): Promise<string>;
+  scroll(x: number, y: number, deltaX?: number, deltaY?: number, opts?: WaitOptions): Promise<string>;
 
   /** Take a PNG screenshot (base64) */
   screenshot(): Promise<string>;
@@ -59,24 +260,131 @@ export declare class Browser extends EventEmitter {
   /** Extract all visible text from the page */
   extractText(): Promise<string>;
 
+  /** Extract schema-shaped data from the full snapshot with a chat model; records in lists carry `_refs` */
+  extract<T = any>(schema: Record<string, any>, opts: ExtractOptions): Promise<T>;
+
   /** Get current page URL */
   getURL(): Promise<string>;
 
   /** Evaluate JavaScript in the page */
   evaluate(expression: string): Promise<any>;
 
+  /** List open pages (tabs and popups) */
+  pages(): PageInfo[];
+
+  /** Open a new tab, make it active and optionally navigate it */
+  newPage(url?: string): Promise<PageInfo>;
+
+  /** Make another page the active one */
+  switchTo(pageId: string): Promise<PageInfo>;
+
+  /** Close a page (defaults to the active one) */
+  closePage(pageId?: string): Promise<string>;
+
+  /** Also apply `redact` to the HAR file written on close() (no-op without recordHar) */
+  addHarRedactor(redact: (text: string) => string): void;
+
   /** Close the browser */
   close(): Promise<void>;
 
   // Events
   on(event: 'launch', listener: () => void): this;
   on(event: 'navigate', listener: (url: string) => void): this;
+  /** A page's main frame committed a new document (navigate(), links, redirects, scripts) */
+  on(event: 'frame-navigated', listener: (nav: { pageId: string; url: string }) => void): this;
   on(event: 'action', listener: (action: { type: string; ref?: string; x?: number; y?: number; text?: string; value?: string }) => void): this;
   on(event: 'snapshot', listener: (snapshot: string) => void): this;
+  on(event: 'tab', listener: (page: PageInfo) => void): this;
+  on(event: 'tab-close', listener: (page: PageInfo) => void): this;
+  on(event: 'har', listener: (path: string) => void): this;
+  on(event: 'console', listener: (entry: ConsoleEntry) => void): this;
+  on(event: 'pageerror', listener: (entry: ConsoleEntry) => void): this;
+  on(event: 'dialog', listener: (dialog: Dialog) => void): this;
+  /** A dialog the `dialogs` policy left open, after the policy has settled */
+  on(event: 'dialog-unhandled', listener: (dialog: Dialog) => void): this;
+  on(event: 'download-start', listener: (download: DownloadInfo) => void): this;
+  on(event: 'download-done', listener: (download: DownloadInfo) => void): this;
   on(event: 'close', listener: () => void): this;
   on(event: 'error', listener: (error: Error) => void): this;
 }
 
+export type RoutePattern = string | RegExp | ((url: string) => boolean);
+
+export interface RouteRequest {
+  url: string;
+  method: string;
+  headers: Record<string, string>;
+  postData?: string;
+  /** Lowercase resource type: 'document', 'xhr', 'fetch', 'image', 'font', … */
+  resourceType: string;
+  frameId: string;
+  isNavigation: boolean;
+  /** A navigation of the page's top-level document (not an iframe) */
+  isMainFrame: boolean;
+}
+
+export declare class Route {
+  readonly request: RouteRequest;
+  readonly handled: boolean;
+  /** Let the request through, optionally modified */
+  continue(overrides?: { url?: string; method?: string; headers?: Record<string, string>; postData?: string }): Promise<void>;
+  /** Answer without touching the network; object bodies are sent as JSON */
+  fulfill(response?: { status?: number; headers?: Record<string, string>; contentType?: string; body?: string | Buffer | object }): Promise<void>;
+  /** Fail the request (default reason: 'BlockedByClient') */
+  abort(reason?: string): Promise<void>;
+}
+
+/** Hosts blocked by blockResources: ['ads'] */
+export declare const AD_HOSTS: string[];
+
+export interface PageInfo {
+  /** Page id, e.g. "t2" */
+  id: string;
+  url: string;
+  title: string;
+  /** Id of the page that opened this one (popups, target=_blank) */
+  opener: string | null;
+  /** Whether snapshots and actions currently target this page */
+  active: boolean;
+}
+
+export interface LocatorQuery {
+  /** ARIA role, e.g. "button", "link", "textbox" */
+  role?: string;
+  /** Accessible name — strings match case-insensitive substrings unless `exact` is set */
+  name?: string | RegExp;
+  /** Require a string name to match exactly (default: false) */
+  exact?: boolean;
+  /** Which match to act on; negative counts from the end (default: 0) */
+  nth?: number;
+  /** Only search inside this locator's element or ref */
+  within?: Locator | string;
+}
+
+export declare class Locator {
+  constructor(browser: Browser, query?: LocatorQuery);
+
+  /** Locator for the nth match */
+  nth(index: number): Locator;
+
+  /** Locator scoped to this locator's element */
+  locate(query: LocatorQuery): Locator;
+
+  /** Number of matching elements */
+  count(): Promise<number>;
+
+  click(): Promise<string>;
+  fill(text: string): Promise<string>;
+  hover(): Promise<string>;
+  select(value: string): Promise<string>;
+
+  /** Visible text of the matched element */
+  text(): Promise<string>;
+
+  /** Wait for the locator to match ("attached") or stop matching ("detached") */
+  waitFor(opts?: { state?: 'attached' | 'detached'; timeout?: number }): Promise<this>;
+}
+
 /** Find Chrome/Chromium binary on the system */
 export declare function findChrome(): string | null;
 
@@ -114,9 +422,164 @@ export interface ChatResponse {
 }
 
 export interface ChatFunction {
-  (messages: ChatMessage[], opts: { tools: any[]; maxTokens: number }): Promise<ChatResponse>;
+  (messages: ChatMessage[], opts: { tools: any[]; maxTokens: number; signal?: AbortSignal }): Promise<ChatResponse>;
+}
+
+export interface ChatAdapterOptions {
+  /** Model name (defaults: gpt-4o-mini, claude-sonnet-4-20250514, gemini-2.0-flash) */
+  model?: string;
+  /** API key (defaults to OPENAI_API_KEY / ANTHROPIC_API_KEY / GEMINI_API_KEY) */
+  apiKey?: string;
+  /** API base URL — for openaiChat, any OpenAI-compatible server (Ollama, vLLM, LM Studio) */
+  baseURL?: string;
+  /** Extra request headers */
+  headers?: Record<string, string>;
+  /** Retries on 429, 5xx and network errors, with exponential backoff (default: 3) */
+  maxRetries?: number;
 }
 
+export type ChatProvider = 'openai' | 'anthropic' | 'gemini';
+
+export declare function openaiChat(opts?: ChatAdapterOptions): ChatFunction;
+export declare function anthropicChat(opts?: ChatAdapterOptions): ChatFunction;
+export declare function geminiChat(opts?: ChatAdapterOptions): ChatFunction;
+export declare function createChat(provider: ChatProvider, opts?: ChatAdapterOptions): ChatFunction;
+
+/** Rough token count for text (no tokenizer needed) */
+export declare function estimateTokens(text: string): number;
+/** Token estimate for one chat message, including its tool calls */
+export declare function estimateMessageTokens(message: ChatMessage): number;
+
+export declare class ContextManager {
+  constructor(opts?: { maxContextTokens?: number; reserveTokens?: number });
+  maxContextTokens: number;
+  reserveTokens: number;
+  /** Set the system prompt and the opening user message (holding the first full snapshot) */
+  start(system: ChatMessage, intro: ChatMessage): void;
+  /** Add an assistant message, one result per tool call (`full` = carries a full snapshot) and its step entries */
+  addTurn(assistant: ChatMessage, results: Array<{ message: ChatMessage; full: boolean }>, steps?: StepEntry[]): void;
+  /** Messages for the next model call, trimmed to the budget */
+  messages(): ChatMessage[];
+  /** Estimated size of the next request in tokens */
+  estimate(): number;
+}
+
+export interface SecretSpec {
+  value: string;
+  /** Origins the secret may be typed into, e.g. "https://github.com" or "https://*.github.com" */
+  origins?: string[];
+}
+
+export declare class SecretVault {
+  constructor(secrets?: Record<string, string | SecretSpec>);
+  readonly size: number;
+  /** Whether the text contains a {{NAME}} placeholder */
+  hasPlaceholder(text: string): boolean;
+  /** One line per secret: its placeholder and allowed origins */
+  describe(): string[];
+  /** Replace placeholders with values; throws for unknown names or disallowed origins */
+  substitute(text: string, origin: string): string;
+  /** Replace secret values (raw, JSON-escaped or URL-encoded) with their placeholders */
+  redact(text: string): string;
+}
+
+export interface PolicyAction {
+  /** Tool name, e.g. 'click' or 'navigate' */
+  type: string;
+  [arg: string]: any;
+}
+
+export interface PolicyContext {
+  /** Why approval is needed */
+  reason: 'form-submit' | 'sensitive-action' | 'leave-allowlist';
+  /** Page the agent is on */
+  url: string;
+  /** Where the action leads, for 'leave-allowlist' */
+  target?: string;
+  /** The element being clicked */
+  element?: { tag: string; type: string | null; text: string; href: string | null; submits: boolean };
+}
+
+export interface PolicyOptions {
+  /** Only these domains (and their subdomains) may be visited */
+  allowedDomains?: string[];
+  /** Never visit these domains, even when approved */
+  blockedDomains?: string[];
+  /** Set a tool to false to hide and refuse it ('done' can't be disabled) */
+  tools?: Record<string, boolean>;
+  /** Asked before sensitive actions; without it they run, and leaving the allowlist is denied */
+  approve?: (action: PolicyAction, context: PolicyContext) => boolean | Promise<boolean>;
+  /** Button / link text that needs approval (default: SENSITIVE_ACTION) */
+  sensitive?: RegExp;
+}
+
+export declare const SENSITIVE_ACTION: RegExp;
+
+export declare class ActionPolicy {
+  constructor(opts?: PolicyOptions);
+  /** Why the URL is off limits (blocked = on the blocklist), or null */
+  checkUrl(url: string): { blocked: boolean; reason: string } | null;
+  toolEnabled(name: string): boolean;
+  filterTools<T>(tools: T[]): T[];
+  /** Check a tool call before it runs; throws when denied */
+  check(browser: Browser, name: string, args: Record<string, any>, context: { url: string }): Promise<void>;
+  /** Decide on a navigation that already happened; false = undo it */
+  allowsNavigation(url: string, context: { url: string }): Promise<boolean>;
+}
+
+export interface SuspiciousContent {
+  /** Where the text came from: 'snapshot', 'diff', 'extract_text', 'extract', 'dialog' or 'console' */
+  source: string;
+  /** Name of the INJECTION_PATTERNS entry that matched */
+  pattern: string;
+  /** The matching line (secrets redacted) */
+  text: string;
+  /** Step it was seen in (0 = the starting page) */
+  step: number;
+  url: string;
+}
+
+export declare const INJECTION_PATTERNS: Array<[string, RegExp]>;
+
+export declare class ContentGuard {
+  constructor(opts?: { patterns?: Array<[string, RegExp]> });
+  /** Per-run nonce carried by the untrusted block tags */
+  readonly nonce: string;
+  /** Wrap page-derived text in an untrusted block; block tags inside it are neutralized */
+  wrap(text: string, source: string): string;
+  /** Instruction-like lines in the text, each reported once per guard */
+  scan(text: string, source: string): Array<{ source: string; pattern: string; text: string }>;
+  /** System prompt section explaining the untrusted blocks */
+  instructions(): string;
+}
+
+/** Warning line for the model, naming the kinds of findings */
+export declare function formatFindings(findings: Array<{ pattern: string }>): string;
+
+export interface ExtractOptions {
+  chat: ChatFunction;
+  /** What to extract, e.g. "products in the search results" */
+  instruction?: string;
+  /** Snapshot tokens per model call; larger snapshots are split and the results merged (default: 8000) */
+  maxChunkTokens?: number;
+  /** Snapshot tokens repeated at the start of the next chunk, so records cut at a boundary are seen whole (default: 400) */
+  overlapTokens?: number;
+  /** Passed to chat and checked before each model call */
+  signal?: AbortSignal;
+  /** Called after each model call with its usage (if any) */
+  onUsage?: (usage: ChatResponse['usage'] | undefined) => void;
+}
+
+/** Extract schema-shaped data from an ARIA snapshot (what Browser.extract runs on the full snapshot) */
+export declare function extractData<T = any>(snapshot: string, schema: Record<string, any>, opts: ExtractOptions): Promise<T>;
+/** Split a snapshot into chunks of whole lines of about maxTokens each, each starting with the previous one's last overlapTokens */
+export declare function chunkSnapshot(snapshot: string, maxTokens?: number, overlapTokens?: number): string[];
+/** Merge a chunk's result into the results so far: arrays concatenated, object fields keep the first value; records sharing a ref in `shared` (the chunk overlap) are merged */
+export declare function mergeExtracted(a: any, b: any, shared?: Set<string>): any;
+
+/** Validate a value against a JSON Schema; returns "path: problem" errors, empty when valid */
+export declare function validate(value: unknown, schema: object | boolean, path?: string): string[];
+
 export interface BrowseWebOptions {
   /** LLM chat function (required) */
   chat: ChatFunction;
@@ -126,36 +589,109 @@ export interface BrowseWebOptions {
   useProfile?: boolean;
   /** CDP port */
   port?: number;
+  /** Run in this Browser and leave it open afterwards (browser options are then ignored) */
+  browser?: Browser;
+  /** Attach to a running Chrome instead of launching one */
+  connect?: { browserURL?: string; wsEndpoint?: string; newPage?: boolean; targetId?: string };
+  /** How actions wait for the page to settle (default: 'auto') */
+  waitUntil?: WaitUntil;
+  /** Resource types to block, e.g. ['image', 'font', 'media', 'ads'] */
+  blockResources?: string[];
+  /** Save the run's network traffic as a HAR file */
+  recordHar?: RecordHarOptions;
+  /** Dialog policy (default: 'manual' — the model answers with handle_dialog) */
+  dialogs?: DialogPolicy;
+  /** Cookies and storage to start with — a storageState() object or its JSON file path */
+  storageState?: StorageState | string;
+  /** Device name or emulation settings */
+  emulate?: string | EmulationSettings;
+  /** When an action changes nothing, include the console errors it caused in the observation (default: false) */
+  reportErrors?: boolean;
+  /** Where files the agent downloads are saved */
+  downloadsDir?: string;
+  /** Local files the agent may attach with the upload_file tool (offered only when set) */
+  uploadFiles?: string[];
   /** Max agent steps (default: 25) */
   maxSteps?: number;
+  /** JSON Schema (type 'object') that replaces the done tool's parameters; the validated object is returned as `data` */
+  outputSchema?: Record<string, any>;
+  /** How often invalid done arguments are sent back for correction before stopReason 'invalid_output' (default: 2) */
+  maxOutputRetries?: number;
+  /** Token budget per model call, including tools and the response; older observations are summarized to fit (default: 100000) */
+  maxContextTokens?: number;
+  /**
+   * Credentials the model only sees as {{NAME}} placeholders. Values are substituted in fill / handle_dialog,
+   * limited to `origins` when given, and redacted from snapshots, steps, results and the HAR file
+   */
+  secrets?: Record<string, string | SecretSpec>;
+  /** Domain allowlist / blocklist, disabled tools and an approval hook for sensitive actions */
+  policy?: PolicyOptions | ActionPolicy;
+  /** Stop the run; also passed on to `chat` (stopReason 'aborted') */
+  signal?: AbortSignal;
+  /** Wall-clock limit for the run in ms (stopReason 'timeout') */
+  timeoutMs?: number;
+  /** Stop once this many input tokens are spent (stopReason 'budget') */
+  maxInputTokens?: number;
+  /** Stop once this many output tokens are spent (stopReason 'budget') */
+  maxOutputTokens?: number;
+  /** USD per million input / output tokens — adds `usage.cost` */
+  pricing?: { input: number; output: number };
+  /** Stop once `usage.cost` reaches this many USD (requires `pricing`; stopReason 'budget') */
+  maxCost?: number;
+  /**
+   * Several tool calls in one response: 'sequential' runs them in order, stopping once the page
+   * navigates or a dialog opens; 'first' runs only the first and rejects the rest (default: 'sequential')
+   */
+  parallelToolCalls?: 'sequential' | 'first';
   /** Step callback */
   onStep?: (step: StepEntry) => void;
+  /** Called for each piece of page content that looks like instructions to the model */
+  onSuspiciousContent?: (finding: SuspiciousContent) => void | Promise<void>;
 }
 
 export interface StepEntry {
+  /** 0 for the starting page ('load'), recorded only when it has suspicious content */
   step: number;
   action: string;
   ref: string | null;
   text: string | null;
   result: string;
+  /** Instruction-like page content seen in this step's observation */
+  suspicious?: SuspiciousContent[];
 }
 
+export type StopReason = 'done' | 'text' | 'max_steps' | 'aborted' | 'timeout' | 'budget' | 'invalid_output';
+
 export interface BrowseWebResult {
   result: string;
+  /** With `outputSchema`: the done arguments, validated against it (null if the run ended another way) */
+  data?: Record<string, any> | null;
+  /** Why the run ended: done tool, plain-text answer, step limit, signal, timeoutMs, a token/cost budget, or output that never matched `outputSchema` */
+  stopReason: StopReason;
   usage: {
     inputTokens: number;
     outputTokens: number;
     modelCalls: number;
+    /** USD, when `pricing` was given */
+    cost?: number;
   };
   steps: StepEntry[];
+  /** Video recording, when `record` was set */
+  recording: { frames: string[]; frameCount: number; video: string | null; frameDir: string | null } | null;
+  /** URL of the page the agent stopped on */
+  finalUrl: string;
+  /** Last ARIA snapshot the agent saw */
+  snapshot: string;
 }
 
-/** Run a browser task with an LLM-driven agent */
-export declare function browseWeb(url: string, task: string, opts: BrowseWebOptions): Promise<BrowseWebResult>;
+/** Run a browser task with an LLM-driven agent. Pass `null` as the URL to start from the browser's current page. */
+export declare function browseWeb(url: string | null, task: string, opts: BrowseWebOptions): Promise<BrowseWebResult>;
 
 // ── Snapshot Optimizer ──────────────────────────────────────────────────
 
 export interface OptimizeOptions {
+  /** Keep all content: skip chrome stripping, link dedup, name and list truncation */
+  full?: boolean;
   maxItems?: number;
   maxNameLength?: number;
   visibleRefs?: Set<string>;